@@ -14,6 +14,11 @@ export default [
         URL: 'readonly',
         crypto: 'readonly',
         TextEncoder: 'readonly',
+        atob: 'readonly',
+        btoa: 'readonly',
+        TextDecoder: 'readonly',
+        AbortSignal: 'readonly',
+        setTimeout: 'readonly',
         Intl: 'readonly'
       }
     },
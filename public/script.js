@@ -1,13 +1,62 @@
 // State management
 let state = {
-    apiKey: '',
+    signedIn: false,
     timezone: '',
     forms: [],
+    managedConfigs: {},
     selectedForm: null,
     dateFields: [],
-    configurations: {}
+    numberFields: [],
+    choiceFields: [],
+    configurations: {},
+    capacityCounts: {},
+    webhookPath: null,
+    webhookSecret: null,
+    holidayLists: [],
+    holidayPresets: [],
+    holidayListId: null,
+    editingHolidayListId: null,
+    ruleSets: [],
+    ruleSetIndex: null,
+    scheduleEvents: [],
+    eventWebhooks: []
 };
 
+// Weekday labels, indexed like Date.getDay() (0 = Sunday)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_WEEKEND_DAYS = [0, 6];
+
+// Common timezones
+const COMMON_TIMEZONES = [
+    'America/New_York',
+    'America/Chicago',
+    'America/Denver',
+    'America/Los_Angeles',
+    'America/Phoenix',
+    'America/Anchorage',
+    'Pacific/Honolulu',
+    'Europe/London',
+    'Europe/Paris',
+    'Europe/Berlin',
+    'Asia/Tokyo',
+    'Asia/Shanghai',
+    'Asia/Dubai',
+    'Australia/Sydney',
+    'Pacific/Auckland'
+];
+
+// Calendar anchors a boundary can snap to (see ANCHOR_TYPES in the worker)
+const ANCHOR_OPTIONS = [
+    { value: '', label: 'No anchor' },
+    { value: 'startOfWeek', label: 'Start of week' },
+    { value: 'endOfWeek', label: 'End of week' },
+    { value: 'startOfMonth', label: 'Start of month' },
+    { value: 'endOfMonth', label: 'End of month' },
+    { value: 'startOfQuarter', label: 'Start of quarter' },
+    { value: 'endOfQuarter', label: 'End of quarter' },
+    { value: 'nextWeekday', label: 'Next weekday' }
+];
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
     initializeTimezones();
@@ -20,24 +69,7 @@ function initializeTimezones() {
     const timezoneSelect = document.getElementById('timezone');
     const detectedTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
-    // Common timezones
-    const timezones = [
-        'America/New_York',
-        'America/Chicago',
-        'America/Denver',
-        'America/Los_Angeles',
-        'America/Phoenix',
-        'America/Anchorage',
-        'Pacific/Honolulu',
-        'Europe/London',
-        'Europe/Paris',
-        'Europe/Berlin',
-        'Asia/Tokyo',
-        'Asia/Shanghai',
-        'Asia/Dubai',
-        'Australia/Sydney',
-        'Pacific/Auckland'
-    ];
+    const timezones = COMMON_TIMEZONES;
 
     timezoneSelect.innerHTML = '';
 
@@ -66,44 +98,68 @@ function initializeTimezones() {
 // Attach event listeners
 function attachEventListeners() {
     document.getElementById('loadFormsBtn').addEventListener('click', loadForms);
+    document.getElementById('signOutBtn').addEventListener('click', signOut);
     document.getElementById('saveConfigBtn').addEventListener('click', saveConfiguration);
+    document.getElementById('previewConfigBtn').addEventListener('click', previewConfiguration);
+    document.getElementById('deleteConfigBtn').addEventListener('click', deleteConfiguration);
     document.getElementById('backToFormsBtn').addEventListener('click', showFormsSection);
     document.getElementById('configureAnotherBtn').addEventListener('click', resetToStart);
+    document.getElementById('holidayListSelect').addEventListener('change', (e) => {
+        state.holidayListId = e.target.value || null;
+        document.getElementById('editHolidayListBtn').disabled = !state.holidayListId;
+    });
+    document.getElementById('newHolidayListBtn').addEventListener('click', () => openHolidayListEditor(null));
+    document.getElementById('editHolidayListBtn').addEventListener('click', () => openHolidayListEditor(state.holidayListId));
+    document.getElementById('saveHolidayListBtn').addEventListener('click', saveHolidayList);
+    document.getElementById('cancelHolidayListBtn').addEventListener('click', closeHolidayListEditor);
+    document.getElementById('ruleSetSelect').addEventListener('change', (e) => selectRuleSet(parseInt(e.target.value)));
+    document.getElementById('addScheduleEventBtn').addEventListener('click', addScheduleEvent);
+    document.getElementById('saveScheduleBtn').addEventListener('click', saveSchedule);
+    document.getElementById('dateFieldsList').addEventListener('click', handleCapacityCancel);
+    document.getElementById('snapshotList').addEventListener('click', handleSnapshotAction);
+    document.getElementById('addEventWebhookBtn').addEventListener('click', addEventWebhook);
+    document.getElementById('eventWebhookList').addEventListener('click', removeEventWebhook);
+    document.getElementById('addRuleSetBtn').addEventListener('click', addRuleSet);
+    document.getElementById('removeRuleSetBtn').addEventListener('click', removeRuleSet);
+    ['ruleSetName', 'ruleSetActiveFrom', 'ruleSetActiveUntil'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateRuleSetDetails);
+    });
     document.getElementById('timezone').addEventListener('change', (e) => {
         state.timezone = e.target.value;
     });
 }
 
-// Load forms from Tally API
+// Load forms from Tally API, signing in first when an API key was entered
 async function loadForms() {
     const apiKey = document.getElementById('apiKey').value.trim();
     const loadBtn = document.getElementById('loadFormsBtn');
 
-    if (!apiKey) {
+    if (!apiKey && !state.signedIn) {
         showError('Please enter your Tally API key');
         return;
     }
 
-    state.apiKey = apiKey;
-
-    // Save API key to localStorage for convenience
-    localStorage.setItem('tallyApiKey', apiKey);
-
     loadBtn.disabled = true;
     showLoading(true);
     hideError();
 
     try {
+        if (apiKey) {
+            await signIn(apiKey);
+        }
+
         const response = await fetch('/api/forms', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                apiKey: state.apiKey
-            })
+            body: JSON.stringify({})
         });
 
+        if (response.status === 401) {
+            displaySignedIn(false);
+        }
+
         if (!response.ok) {
             const error = await response.json();
             throw new Error(error.error || 'Failed to load forms');
@@ -111,6 +167,7 @@ async function loadForms() {
 
         const data = await response.json();
         state.forms = data.forms;
+        await loadManagedConfigs();
 
         displayForms();
         showFormsSection();
@@ -123,6 +180,28 @@ async function loadForms() {
     }
 }
 
+// Load the configs saved with this account, for their status and last run
+async function loadManagedConfigs() {
+    const response = await fetch('/api/configs', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({})
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load saved configurations');
+    }
+
+    const data = await response.json();
+    state.managedConfigs = {};
+    data.configs.forEach(config => {
+        state.managedConfigs[config.formId] = config;
+    });
+}
+
 // Display forms list
 function displayForms() {
     const formsList = document.getElementById('formsList');
@@ -144,7 +223,9 @@ function displayForms() {
         formCard.innerHTML = `
             <h3>${escapeHtml(form.name || 'Untitled Form')}</h3>
             <p>Form ID: ${escapeHtml(form.id)}</p>
+            ${describeManagedConfig(state.managedConfigs[form.id])}
             ${form.configured ? '<span class="form-badge configured">Configured</span>' : ''}
+            ${form.scheduled ? '<span class="form-badge scheduled">Scheduled</span>' : ''}
         `;
 
         formCard.addEventListener('click', () => selectForm(form));
@@ -153,6 +234,18 @@ function displayForms() {
     });
 }
 
+// Status line of a form managed with this account
+function describeManagedConfig(config) {
+    if (!config) {
+        return '';
+    }
+
+    const status = config.status === 'active' ? 'Active' : 'Disabled';
+    const lastRun = config.lastRun ? new Date(config.lastRun).toLocaleString() : 'never';
+    const reason = config.disabledReason ? `<br>${escapeHtml(config.disabledReason)}` : '';
+    return `<p>${status} &middot; Last run: ${escapeHtml(lastRun)}${reason}</p>`;
+}
+
 // Select a form and load its fields
 async function selectForm(form) {
     state.selectedForm = form;
@@ -167,7 +260,6 @@ async function selectForm(form) {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                apiKey: state.apiKey,
                 formId: form.id
             })
         });
@@ -179,13 +271,36 @@ async function selectForm(form) {
 
         const data = await response.json();
         state.dateFields = data.dateFields;
+        state.numberFields = data.numberFields || [];
+        state.choiceFields = data.choiceFields || [];
+        state.capacityCounts = data.capacityCounts || {};
+        state.webhookPath = data.webhookPath;
+        state.webhookSecret = data.configuration?.webhookSecret || null;
 
         // Load existing configuration for this form if available
         if (form.configured && data.configuration) {
             state.configurations = data.configuration.fields || {};
+            state.ruleSets = data.configuration.ruleSets || [];
+            state.holidayListId = data.configuration.holidayListId || null;
         } else {
             state.configurations = {};
+            state.ruleSets = [];
+            state.holidayListId = null;
         }
+        state.ruleSetIndex = state.ruleSets.length > 0 ? 0 : null;
+        state.scheduleEvents = data.schedule?.events || [];
+
+        displaySchedule(data.schedule);
+        displaySubmissionCap(form.configured ? data.configuration : null);
+        displayWebhookSettings();
+        displayDisabledNotice(form.configured ? data.configuration : null, data.schedule);
+        await loadRunHistory();
+        await loadSnapshots();
+        await loadEventWebhooks();
+        document.getElementById('deleteConfigSettings').classList.toggle('hidden', !state.managedConfigs[form.id]);
+        document.getElementById('configPreview').classList.add('hidden');
+        displayRuleSets();
+        await loadHolidayLists();
 
         displayDateFields();
         showFieldsSection();
@@ -197,6 +312,333 @@ async function selectForm(form) {
     }
 }
 
+// Load the holiday calendars saved for this API key
+async function loadHolidayLists() {
+    const response = await fetch('/api/holiday-lists', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({})
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load holiday calendars');
+    }
+
+    const data = await response.json();
+    state.holidayLists = data.holidayLists;
+    state.holidayPresets = data.presets;
+
+    displayHolidayLists();
+}
+
+// Display holiday calendar selector
+function displayHolidayLists() {
+    const select = document.getElementById('holidayListSelect');
+    select.innerHTML = '<option value="">None</option>';
+
+    state.holidayLists.forEach(holidayList => {
+        const option = document.createElement('option');
+        option.value = holidayList.id;
+        option.textContent = holidayList.name;
+        option.selected = holidayList.id === state.holidayListId;
+        select.appendChild(option);
+    });
+
+    document.getElementById('editHolidayListBtn').disabled = !state.holidayListId;
+    closeHolidayListEditor();
+}
+
+// Open the holiday calendar editor, for a new calendar when id is null
+function openHolidayListEditor(id) {
+    const holidayList = state.holidayLists.find(list => list.id === id) || { name: '', presets: [], dates: [] };
+    state.editingHolidayListId = id;
+
+    document.getElementById('holidayListName').value = holidayList.name;
+    document.getElementById('holidayDates').value = holidayList.dates.join('\n');
+    document.getElementById('holidayIcsFile').value = '';
+    document.getElementById('holidayPresets').innerHTML = state.holidayPresets.map(preset => `
+        <label>
+            <input type="checkbox" value="${escapeHtml(preset.code)}" class="holiday-preset" ${holidayList.presets.includes(preset.code) ? 'checked' : ''}>
+            ${escapeHtml(preset.name)}
+        </label>
+    `).join('');
+
+    document.getElementById('holidayListEditor').classList.remove('hidden');
+}
+
+function closeHolidayListEditor() {
+    state.editingHolidayListId = null;
+    document.getElementById('holidayListEditor').classList.add('hidden');
+}
+
+// Save the holiday calendar in the editor and select it for this form
+async function saveHolidayList() {
+    const saveBtn = document.getElementById('saveHolidayListBtn');
+    const name = document.getElementById('holidayListName').value.trim();
+
+    if (!name) {
+        showError('Please enter a calendar name');
+        return;
+    }
+
+    const dates = document.getElementById('holidayDates').value
+        .split(/[\s,]+/)
+        .filter(date => date !== '');
+    const presets = Array.from(document.querySelectorAll('.holiday-preset:checked')).map(checkbox => checkbox.value);
+    const icsFile = document.getElementById('holidayIcsFile').files[0];
+
+    saveBtn.disabled = true;
+    hideError();
+
+    try {
+        const response = await fetch('/api/save-holiday-list', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                id: state.editingHolidayListId,
+                name,
+                presets,
+                dates,
+                ics: icsFile ? await icsFile.text() : undefined
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save holiday calendar');
+        }
+
+        const data = await response.json();
+        state.holidayLists = state.holidayLists.filter(list => list.id !== data.holidayList.id);
+        state.holidayLists.push(data.holidayList);
+        state.holidayListId = data.holidayList.id;
+
+        displayHolidayLists();
+
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Display the open/close schedule of the selected form
+function displaySchedule(schedule) {
+    const hourSelect = document.getElementById('closeForeverHour');
+    const closeForeverAt = schedule?.closeForeverAt;
+
+    hourSelect.innerHTML = renderHourOptions(closeForeverAt?.hour ?? 0);
+    document.getElementById('closeForeverDate').value = closeForeverAt?.date || '';
+
+    displayScheduleEvents();
+}
+
+function displayScheduleEvents() {
+    const eventsList = document.getElementById('scheduleEventsList');
+
+    if (state.scheduleEvents.length === 0) {
+        eventsList.innerHTML = '<p style="color: #7f8c8d;">No events yet.</p>';
+        return;
+    }
+
+    eventsList.innerHTML = state.scheduleEvents.map((event, index) => {
+        const when = event.date ? 'date' : String(event.weekday);
+        return `
+            <div class="schedule-event" data-index="${index}">
+                <select class="event-action">
+                    <option value="open" ${event.action === 'open' ? 'selected' : ''}>Open</option>
+                    <option value="close" ${event.action === 'close' ? 'selected' : ''}>Close</option>
+                </select>
+                <select class="event-when">
+                    ${WEEKDAYS.map((name, day) => `
+                        <option value="${day}" ${when === String(day) ? 'selected' : ''}>Every ${name}</option>
+                    `).join('')}
+                    <option value="date" ${when === 'date' ? 'selected' : ''}>On date</option>
+                </select>
+                <input type="date" class="event-date ${when !== 'date' ? 'hidden' : ''}" value="${event.date || ''}">
+                <select class="event-hour">${renderHourOptions(event.hour)}</select>
+                <button class="btn btn-secondary remove-event-btn">Remove</button>
+            </div>
+        `;
+    }).join('');
+
+    eventsList.querySelectorAll('.event-when').forEach(select => {
+        select.addEventListener('change', (e) => {
+            e.target.closest('.schedule-event').querySelector('.event-date').classList.toggle('hidden', e.target.value !== 'date');
+        });
+    });
+
+    eventsList.querySelectorAll('.remove-event-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            collectScheduleEvents();
+            state.scheduleEvents.splice(parseInt(e.target.closest('.schedule-event').dataset.index), 1);
+            displayScheduleEvents();
+        });
+    });
+}
+
+function renderHourOptions(selectedHour) {
+    return Array.from({ length: 24 }, (_, hour) => `
+        <option value="${hour}" ${hour === selectedHour ? 'selected' : ''}>${hour}:00</option>
+    `).join('');
+}
+
+function addScheduleEvent() {
+    collectScheduleEvents();
+    state.scheduleEvents.push({ action: 'open', weekday: 1, hour: 9 });
+    displayScheduleEvents();
+}
+
+// Gather the schedule event rows into state
+function collectScheduleEvents() {
+    state.scheduleEvents = Array.from(document.querySelectorAll('.schedule-event')).map(row => {
+        const when = row.querySelector('.event-when').value;
+        const event = {
+            action: row.querySelector('.event-action').value,
+            hour: parseInt(row.querySelector('.event-hour').value)
+        };
+
+        if (when === 'date') {
+            event.date = row.querySelector('.event-date').value || null;
+        } else {
+            event.weekday = parseInt(when);
+        }
+
+        return event;
+    });
+}
+
+// Save the open/close schedule
+async function saveSchedule() {
+    const saveBtn = document.getElementById('saveScheduleBtn');
+    const originalText = saveBtn.textContent;
+
+    collectScheduleEvents();
+
+    const closeForeverDate = document.getElementById('closeForeverDate').value;
+    const closeForeverAt = closeForeverDate
+        ? { date: closeForeverDate, hour: parseInt(document.getElementById('closeForeverHour').value) }
+        : null;
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+    hideError();
+
+    try {
+        const response = await fetch('/api/save-schedule', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                formId: state.selectedForm.id,
+                timezone: state.timezone,
+                events: state.scheduleEvents,
+                closeForeverAt
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save schedule');
+        }
+
+        const data = await response.json();
+        state.selectedForm.scheduled = state.scheduleEvents.length > 0 || !!closeForeverAt;
+        saveBtn.textContent = data.scheduledState ? `Saved - form is ${data.scheduledState}` : 'Saved';
+
+        setTimeout(() => {
+            saveBtn.textContent = originalText;
+        }, 3000);
+
+    } catch (error) {
+        showError(error.message);
+        saveBtn.textContent = originalText;
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Display the seasonal rule set selector and the selected rule set's details
+function displayRuleSets() {
+    const select = document.getElementById('ruleSetSelect');
+    const hasRuleSets = state.ruleSets.length > 0;
+
+    select.innerHTML = state.ruleSets.map((ruleSet, index) => `
+        <option value="${index}" ${index === state.ruleSetIndex ? 'selected' : ''}>${escapeHtml(ruleSet.name)}</option>
+    `).join('');
+
+    select.classList.toggle('hidden', !hasRuleSets);
+    document.getElementById('removeRuleSetBtn').classList.toggle('hidden', !hasRuleSets);
+    document.getElementById('ruleSetEditor').classList.toggle('hidden', !hasRuleSets);
+
+    if (hasRuleSets) {
+        const ruleSet = state.ruleSets[state.ruleSetIndex];
+        document.getElementById('ruleSetName').value = ruleSet.name;
+        document.getElementById('ruleSetActiveFrom').value = ruleSet.activeFrom || '';
+        document.getElementById('ruleSetActiveUntil').value = ruleSet.activeUntil || '';
+    }
+}
+
+// Switch the field cards to another rule set
+function selectRuleSet(index) {
+    collectFieldConfigurations();
+    state.ruleSetIndex = index;
+    displayRuleSets();
+    displayDateFields();
+}
+
+// Add a rule set, starting from a copy of the rules being edited
+function addRuleSet() {
+    collectFieldConfigurations();
+
+    const fields = JSON.parse(JSON.stringify(currentFieldConfigurations()));
+    if (state.ruleSetIndex === null) {
+        // The form's own rules are only used while it has no rule sets
+        state.configurations = {};
+    }
+
+    state.ruleSets.push({
+        name: `Rule set ${state.ruleSets.length + 1}`,
+        activeFrom: null,
+        activeUntil: null,
+        fields
+    });
+    state.ruleSetIndex = state.ruleSets.length - 1;
+
+    displayRuleSets();
+    displayDateFields();
+}
+
+// Remove the selected rule set; removing the last one turns its rules back into the form's own rules
+function removeRuleSet() {
+    const [removed] = state.ruleSets.splice(state.ruleSetIndex, 1);
+
+    if (state.ruleSets.length === 0) {
+        state.configurations = removed.fields;
+        state.ruleSetIndex = null;
+    } else {
+        state.ruleSetIndex = 0;
+    }
+
+    displayRuleSets();
+    displayDateFields();
+}
+
+function updateRuleSetDetails() {
+    const ruleSet = state.ruleSets[state.ruleSetIndex];
+    ruleSet.name = document.getElementById('ruleSetName').value;
+    ruleSet.activeFrom = document.getElementById('ruleSetActiveFrom').value.trim() || null;
+    ruleSet.activeUntil = document.getElementById('ruleSetActiveUntil').value.trim() || null;
+
+    document.querySelector(`#ruleSetSelect option[value="${state.ruleSetIndex}"]`).textContent = ruleSet.name;
+}
+
 // Display date fields with configuration options
 function displayDateFields() {
     const dateFieldsList = document.getElementById('dateFieldsList');
@@ -205,8 +647,13 @@ function displayDateFields() {
     selectedFormName.textContent = state.selectedForm.name || 'Untitled Form';
     dateFieldsList.innerHTML = '';
 
-    if (state.dateFields.length === 0) {
-        dateFieldsList.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No date fields found in this form.</p>';
+    displayNumberFields();
+
+    if (state.dateFields.length === 0 && state.choiceFields.length === 0) {
+        dateFieldsList.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No date or choice fields found in this form.</p>';
+    }
+
+    if (state.dateFields.length === 0 && state.choiceFields.length === 0 && state.numberFields.length === 0) {
         document.getElementById('saveConfigBtn').disabled = true;
         return;
     }
@@ -214,10 +661,17 @@ function displayDateFields() {
     document.getElementById('saveConfigBtn').disabled = false;
 
     state.dateFields.forEach(field => {
-        const existingConfig = state.configurations[field.uuid] || {};
+        const existingConfig = currentFieldConfigurations()[field.uuid] || {};
         const enabled = existingConfig.enabled !== false;
         const minDays = existingConfig.minDays !== undefined ? existingConfig.minDays : '';
         const maxDays = existingConfig.maxDays !== undefined ? existingConfig.maxDays : '';
+        const unit = existingConfig.unit || 'calendar';
+        const weekendDays = existingConfig.weekendDays || DEFAULT_WEEKEND_DAYS;
+        const dateRule = key => existingConfig[key] || '';
+        const weekStartsOn = existingConfig.weekStartsOn ?? 1;
+        const cutoffHour = existingConfig.cutoffHour ?? '';
+        const usesWeekAnchor = [existingConfig.minAnchor, existingConfig.maxAnchor]
+            .some(anchor => anchor && ['startOfWeek', 'endOfWeek'].includes(anchor.type));
 
         const fieldCard = document.createElement('div');
         fieldCard.className = 'date-field-card';
@@ -234,8 +688,10 @@ function displayDateFields() {
                 </label>
             </div>
             <div class="date-inputs">
+                ${renderBaseFieldSelect(field.uuid, existingConfig.baseField, enabled)}
+                ${renderTimezoneSelect(field.uuid, existingConfig.timezone, enabled)}
                 <div class="date-input-group">
-                    <label>Earliest Date (days from today):</label>
+                    <label>Earliest Date (offset from today):</label>
                     <input type="number"
                            placeholder="e.g. -30, 0, or 30"
                            value="${minDays}"
@@ -246,7 +702,40 @@ function displayDateFields() {
                     <small>Minimum selectable date. Negative = past (e.g. -30 = 30 days ago), Positive = future (e.g. 30 = 30 days from now). Leave blank for no limit.</small>
                 </div>
                 <div class="date-input-group">
-                    <label>Latest Date (days from today):</label>
+                    <label>Earliest counted from:</label>
+                    <input type="date"
+                           value="${dateRule('minFromDate')}"
+                           data-field-id="${field.uuid}"
+                           data-key="minFromDate"
+                           class="rule-date-input"
+                           ${!enabled ? 'disabled' : ''}>
+                    <small>Count the earliest date offset from this date instead of today. Leave blank to use today.</small>
+                </div>
+                ${renderAnchorInputs(field.uuid, 'min', existingConfig.minAnchor, enabled)}
+                <div class="date-input-group">
+                    <label>Same-day cutoff:</label>
+                    <select data-field-id="${field.uuid}"
+                            class="cutoff-select"
+                            ${!enabled ? 'disabled' : ''}>
+                        <option value="" ${cutoffHour === '' ? 'selected' : ''}>No cutoff</option>
+                        ${Array.from({ length: 24 }, (_, hour) => `
+                            <option value="${hour}" ${hour === cutoffHour ? 'selected' : ''}>${hour}:00</option>
+                        `).join('')}
+                    </select>
+                    <small>From this hour on (in your timezone), today no longer counts and the earliest date moves forward by one day until midnight.</small>
+                </div>
+                <div class="date-input-group">
+                    <label>Never earlier than:</label>
+                    <input type="date"
+                           value="${dateRule('minClampDate')}"
+                           data-field-id="${field.uuid}"
+                           data-key="minClampDate"
+                           class="rule-date-input"
+                           ${!enabled ? 'disabled' : ''}>
+                    <small>Hard limit, e.g. the season start. Leave blank for no limit.</small>
+                </div>
+                <div class="date-input-group">
+                    <label>Latest Date (offset from today):</label>
                     <input type="number"
                            placeholder="e.g. 0, 365, or -30"
                            value="${maxDays}"
@@ -256,137 +745,1200 @@ function displayDateFields() {
                            ${!enabled ? 'disabled' : ''}>
                     <small>Maximum selectable date. Negative = past (e.g. -30 = 30 days ago), Positive = future (e.g. 365 = 1 year from now). Leave blank for no limit.</small>
                 </div>
+                <div class="date-input-group">
+                    <label>Latest counted from:</label>
+                    <input type="date"
+                           value="${dateRule('maxFromDate')}"
+                           data-field-id="${field.uuid}"
+                           data-key="maxFromDate"
+                           class="rule-date-input"
+                           ${!enabled ? 'disabled' : ''}>
+                    <small>Count the latest date offset from this date instead of today, e.g. -7 from the event date. Leave blank to use today.</small>
+                </div>
+                ${renderAnchorInputs(field.uuid, 'max', existingConfig.maxAnchor, enabled)}
+                <div class="date-input-group">
+                    <label>Never later than:</label>
+                    <input type="date"
+                           value="${dateRule('maxClampDate')}"
+                           data-field-id="${field.uuid}"
+                           data-key="maxClampDate"
+                           class="rule-date-input"
+                           ${!enabled ? 'disabled' : ''}>
+                    <small>Hard limit, e.g. the season end. Leave blank for no limit.</small>
+                </div>
+                ${renderWeekdayOffsetGrid(field.uuid, existingConfig.weekdayOffsets || {}, enabled)}
+                ${renderCapacityInputs(field.uuid, existingConfig.capacity, enabled)}
+                <div class="date-input-group week-start ${!usesWeekAnchor ? 'hidden' : ''}">
+                    <label>Weeks start on:</label>
+                    <select data-field-id="${field.uuid}"
+                            class="week-start-select"
+                            ${!enabled ? 'disabled' : ''}>
+                        <option value="1" ${weekStartsOn === 1 ? 'selected' : ''}>Monday</option>
+                        <option value="0" ${weekStartsOn === 0 ? 'selected' : ''}>Sunday</option>
+                    </select>
+                </div>
+                <div class="date-input-group">
+                    <label>Offset unit:</label>
+                    <select data-field-id="${field.uuid}"
+                            class="unit-select"
+                            ${!enabled ? 'disabled' : ''}>
+                        <option value="calendar" ${unit === 'calendar' ? 'selected' : ''}>Calendar days</option>
+                        <option value="business" ${unit === 'business' ? 'selected' : ''}>Business days</option>
+                        <option value="months" ${unit === 'months' ? 'selected' : ''}>Months</option>
+                        <option value="years" ${unit === 'years' ? 'selected' : ''}>Years</option>
+                    </select>
+                    <small>Business days skip the weekend days below. Months and years keep the day of the month, clamped to the month's last day (e.g. -18 years for an age limit).</small>
+                </div>
+                <div class="date-input-group weekend-days ${unit !== 'business' ? 'hidden' : ''}">
+                    <label>Weekend days:</label>
+                    <div class="weekday-checkboxes">
+                        ${WEEKDAYS.map((name, day) => `
+                            <label class="weekday-checkbox">
+                                <input type="checkbox"
+                                       value="${day}"
+                                       data-field-id="${field.uuid}"
+                                       class="weekend-day"
+                                       ${weekendDays.includes(day) ? 'checked' : ''}
+                                       ${!enabled ? 'disabled' : ''}>
+                                ${name}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
             </div>
         `;
 
         dateFieldsList.appendChild(fieldCard);
     });
 
+    state.choiceFields.forEach(field => {
+        dateFieldsList.appendChild(renderChoiceFieldCard(field));
+    });
+
     // Attach toggle listeners
     document.querySelectorAll('.field-toggle').forEach(toggle => {
         toggle.addEventListener('change', handleFieldToggle);
     });
-}
-
-// Handle field enable/disable toggle
-function handleFieldToggle(e) {
-    const fieldId = e.target.dataset.fieldId;
-    const enabled = e.target.checked;
-
-    if (!state.configurations[fieldId]) {
-        state.configurations[fieldId] = {};
-    }
-    state.configurations[fieldId].enabled = enabled;
-
-    // Enable/disable inputs
-    const fieldCard = e.target.closest('.date-field-card');
-    const inputs = fieldCard.querySelectorAll('.days-input');
 
-    inputs.forEach(input => {
-        input.disabled = !enabled;
+    // Only show the weekend picker for business-day fields
+    document.querySelectorAll('.unit-select').forEach(select => {
+        select.addEventListener('change', handleUnitChange);
     });
 
-    if (enabled) {
-        fieldCard.classList.remove('disabled');
-    } else {
-        fieldCard.classList.add('disabled');
-    }
+    document.querySelectorAll('.anchor-type').forEach(select => {
+        select.addEventListener('change', handleAnchorChange);
+    });
 }
 
-// Save configuration
-async function saveConfiguration() {
-    const saveBtn = document.getElementById('saveConfigBtn');
-    const originalText = saveBtn.textContent;
+// Render the per-date capacity input and the counts received from Tally webhooks
+function renderCapacityInputs(fieldId, capacity, enabled) {
+    return `
+        <div class="date-input-group capacity-inputs">
+            <label>Capacity per date:</label>
+            <input type="number"
+                   min="1"
+                   placeholder="Unlimited"
+                   value="${capacity ?? ''}"
+                   data-field-id="${fieldId}"
+                   class="capacity-input"
+                   ${!enabled ? 'disabled' : ''}>
+            <small>Submissions each date can take. Full dates are removed from the form; needs the Tally webhook below.</small>
+            <div class="capacity-counts" data-field-id="${fieldId}">
+                ${renderCapacityCounts(fieldId, capacity)}
+            </div>
+        </div>
+    `;
+}
 
-    // Disable button and show saving state
-    saveBtn.disabled = true;
-    saveBtn.textContent = 'Saving...';
-    hideError();
+// Render the submission counts of a field, with a button to take back a cancelled registration
+function renderCapacityCounts(fieldId, capacity) {
+    const counts = Object.entries(state.capacityCounts[fieldId] || {}).sort(([a], [b]) => a.localeCompare(b));
 
-    // Gather all configurations
-    document.querySelectorAll('.days-input').forEach(input => {
-        const fieldId = input.dataset.fieldId;
-        const type = input.dataset.type;
-        const value = input.value === '' ? null : parseInt(input.value);
+    if (counts.length === 0) {
+        return '';
+    }
 
-        if (!state.configurations[fieldId]) {
-            state.configurations[fieldId] = { enabled: true };
-        }
+    return counts.map(([date, count]) => `
+        <div class="capacity-count ${capacity && count >= capacity ? 'full' : ''}">
+            <span>${date}: ${count}${capacity ? ` / ${capacity}` : ''}</span>
+            <button type="button"
+                    class="btn btn-secondary btn-small capacity-cancel"
+                    data-field-id="${fieldId}"
+                    data-date="${date}"
+                    data-count="${count}"
+                    title="Take back one registration, e.g. after a cancellation">&minus;1</button>
+        </div>
+    `).join('');
+}
 
-        if (type === 'min') {
-            state.configurations[fieldId].minDays = value;
-        } else {
-            state.configurations[fieldId].maxDays = value;
-        }
-    });
+// Take back one registration of a date
+async function handleCapacityCancel(e) {
+    const button = e.target.closest('.capacity-cancel');
+    if (!button) {
+        return;
+    }
 
-    // Check if at least one field is enabled with limits
-    const hasActiveConfig = Object.values(state.configurations).some(config =>
-        config.enabled && (config.minDays !== null || config.maxDays !== null)
-    );
+    const { fieldId, date } = button.dataset;
+    button.disabled = true;
+    hideError();
 
     try {
-        const response = await fetch('/api/save-config', {
+        const response = await fetch('/api/adjust-capacity', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                apiKey: state.apiKey,
                 formId: state.selectedForm.id,
-                timezone: state.timezone,
-                fields: state.configurations
+                fieldUuid: fieldId,
+                date,
+                count: parseInt(button.dataset.count) - 1
             })
         });
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to save configuration');
+            throw new Error(error.error || 'Failed to adjust capacity');
         }
 
-        showSuccessSection();
+        const data = await response.json();
+        state.capacityCounts[fieldId] = data.counts;
+
+        const capacity = currentFieldConfigurations()[fieldId]?.capacity;
+        document.querySelector(`.capacity-counts[data-field-id="${fieldId}"]`).innerHTML = renderCapacityCounts(fieldId, capacity);
 
     } catch (error) {
         showError(error.message);
-        saveBtn.disabled = false;
-        saveBtn.textContent = originalText;
+        button.disabled = false;
     }
 }
 
-// Load saved configuration on page load
-async function loadSavedConfiguration() {
-    const savedApiKey = localStorage.getItem('tallyApiKey');
-    if (savedApiKey) {
-        document.getElementById('apiKey').value = savedApiKey;
-    }
+// Show the submission cap of the selected form and whether it has been reached
+function displaySubmissionCap(configuration) {
+    const submissionCap = configuration?.submissionCap;
+
+    document.getElementById('submissionCapLimit').value = submissionCap?.limit ?? '';
+    document.getElementById('submissionCapAction').value = submissionCap?.action || 'collapse';
+    document.getElementById('submissionCapStatus').classList.toggle('hidden', !configuration?.capReached);
 }
 
-// UI Helper functions
-function showFormsSection() {
-    document.getElementById('formsSection').classList.remove('hidden');
-    document.getElementById('fieldsSection').classList.add('hidden');
-    document.getElementById('successSection').classList.add('hidden');
+// Read the submission cap inputs (null when no cap is set)
+function collectSubmissionCap() {
+    const limit = document.getElementById('submissionCapLimit').value;
+
+    if (limit === '') {
+        return null;
+    }
+
+    return {
+        limit: parseInt(limit),
+        action: document.getElementById('submissionCapAction').value
+    };
 }
 
-function showFieldsSection() {
-    document.getElementById('formsSection').classList.add('hidden');
-    document.getElementById('fieldsSection').classList.remove('hidden');
-    document.getElementById('successSection').classList.add('hidden');
+// Show the webhook URL and signing secret to enter in Tally for capacity counting
+function displayWebhookSettings() {
+    const webhookSettings = document.getElementById('webhookSettings');
+
+    if (!state.webhookPath || !state.webhookSecret) {
+        webhookSettings.classList.add('hidden');
+        return;
+    }
+
+    document.getElementById('webhookUrl').value = `${window.location.origin}${state.webhookPath}`;
+    document.getElementById('webhookSecret').value = state.webhookSecret;
+    webhookSettings.classList.remove('hidden');
 }
 
-function showSuccessSection() {
-    document.getElementById('formsSection').classList.add('hidden');
-    document.getElementById('fieldsSection').classList.add('hidden');
-    document.getElementById('successSection').classList.remove('hidden');
+// Explain why a configuration or schedule was disabled after Tally rejected its updates
+function displayDisabledNotice(configuration, schedule) {
+    const notice = document.getElementById('configDisabledNotice');
+    const messages = [];
 
-    // Save API key for convenience
-    localStorage.setItem('tallyApiKey', state.apiKey);
+    if (configuration?.disabledReason) {
+        messages.push(`This form stopped updating on ${new Date(configuration.disabledAt).toLocaleString()}: ${configuration.disabledReason}. `
+            + 'If the API key was revoked, sign out, connect with a new key and save the configuration again. If the form was deleted, stop managing it below.');
+    }
+
+    if (schedule?.disabledReason) {
+        messages.push(`The open/close schedule stopped on ${new Date(schedule.disabledAt).toLocaleString()}: ${schedule.disabledReason}. `
+            + 'Save the schedule again with a working API key to restart it, or clear it.');
+    }
+
+    notice.textContent = messages.join(' ');
+    notice.classList.toggle('hidden', messages.length === 0);
+}
+
+// Load the event webhooks of the selected form and of the whole account
+async function loadEventWebhooks() {
+    state.eventWebhooks = [];
+
+    for (const scope of ['form', 'account']) {
+        const response = await fetch('/api/event-webhooks', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(eventWebhookScope(scope))
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to load event webhooks');
+        }
+
+        const data = await response.json();
+        data.webhooks.forEach(webhook => state.eventWebhooks.push({ ...webhook, scope }));
+    }
+
+    displayEventWebhooks();
+}
+
+// Request body identifying the webhooks of the selected form, or of the account
+function eventWebhookScope(scope) {
+    return scope === 'form' ? { formId: state.selectedForm.id } : {};
+}
+
+// Display the registered event webhooks with their signing secrets
+function displayEventWebhooks() {
+    const eventWebhookList = document.getElementById('eventWebhookList');
+
+    eventWebhookList.innerHTML = state.eventWebhooks.map(webhook => `
+        <div class="event-webhook">
+            <span>
+                ${escapeHtml(webhook.url)}
+                <small>${webhook.scope === 'form' ? 'This form' : 'All my forms'} &middot; ${escapeHtml(webhook.events.join(', '))}</small>
+                <small>Secret: ${escapeHtml(webhook.secret)}</small>
+            </span>
+            <button class="btn btn-secondary btn-small event-webhook-remove" data-webhook-id="${escapeHtml(webhook.id)}" data-scope="${webhook.scope}">Remove</button>
+        </div>
+    `).join('');
+}
+
+// Register a new event webhook from the inputs
+async function addEventWebhook() {
+    const urlInput = document.getElementById('eventWebhookUrl');
+    const scope = document.getElementById('eventWebhookScope').value;
+    const events = Array.from(document.querySelectorAll('.event-webhook-events input:checked')).map(input => input.value);
+
+    hideError();
+
+    try {
+        const response = await fetch('/api/save-event-webhook', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                ...eventWebhookScope(scope),
+                url: urlInput.value.trim(),
+                events
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add webhook');
+        }
+
+        const data = await response.json();
+        state.eventWebhooks.push({ ...data.webhook, scope });
+        urlInput.value = '';
+        displayEventWebhooks();
+
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Remove an event webhook
+async function removeEventWebhook(e) {
+    const button = e.target.closest('.event-webhook-remove');
+    if (!button) {
+        return;
+    }
+
+    const { webhookId, scope } = button.dataset;
+    button.disabled = true;
+    hideError();
+
+    try {
+        const response = await fetch('/api/delete-event-webhook', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                ...eventWebhookScope(scope),
+                id: webhookId
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to remove webhook');
+        }
+
+        state.eventWebhooks = state.eventWebhooks.filter(webhook => webhook.id !== webhookId);
+        displayEventWebhooks();
+
+    } catch (error) {
+        showError(error.message);
+        button.disabled = false;
+    }
+}
+
+// What started a run, as shown in the run history
+const RUN_TRIGGERS = {
+    'cron': 'Hourly update',
+    'save': 'Saved configuration',
+    'webhook': 'Date reached capacity',
+    'adjust-capacity': 'Capacity adjusted',
+    'delete': 'Configuration deleted'
+};
+
+// Load the update runs of the selected form
+async function loadRunHistory() {
+    const response = await fetch('/api/run-history', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            formId: state.selectedForm.id
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load run history');
+    }
+
+    const data = await response.json();
+    displayRunHistory(data.runs);
+}
+
+// Display the run history as a timeline, newest first
+function displayRunHistory(runs) {
+    const runHistorySettings = document.getElementById('runHistorySettings');
+    const runHistoryList = document.getElementById('runHistoryList');
+
+    runHistorySettings.classList.toggle('hidden', runs.length === 0);
+    runHistoryList.innerHTML = runs.map(run => {
+        const time = run.runs > 1
+            ? `${new Date(run.firstAt).toLocaleString()} - ${new Date(run.at).toLocaleString()} (${run.runs} runs)`
+            : new Date(run.at).toLocaleString();
+        const changes = run.changes.map(change => {
+            const from = Object.values(change.from).map(value => value ?? 'none').join(' / ');
+            const to = Object.values(change.to).map(value => value ?? 'none').join(' / ');
+            return `<li>${escapeHtml(`${change.label}: ${from} → ${to}`)}</li>`;
+        });
+        if (run.templatesChanged) {
+            changes.push('<li>Template text updated</li>');
+        }
+
+        return `
+            <li class="${escapeHtml(run.status)}">
+                <strong>${escapeHtml(RUN_TRIGGERS[run.trigger] || run.trigger)}</strong>
+                &middot; ${escapeHtml(run.status)} &middot; ${escapeHtml(time)}
+                ${run.message ? `<br>${escapeHtml(run.message)}` : ''}
+                ${changes.length > 0 ? `<ul>${changes.join('')}</ul>` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+// What caused a snapshot, as shown in the form history
+const SNAPSHOT_REASONS = {
+    'update': 'Before a date update',
+    'restore-original-limits': 'Before restoring original limits',
+    'restore-snapshot': 'Before restoring a snapshot'
+};
+
+// Load the block snapshots of the selected form
+async function loadSnapshots() {
+    const response = await fetch('/api/snapshots', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            formId: state.selectedForm.id
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load form history');
+    }
+
+    const data = await response.json();
+    displaySnapshots(data.snapshots);
+}
+
+// Display the form history, newest first
+function displaySnapshots(snapshots) {
+    const snapshotSettings = document.getElementById('snapshotSettings');
+    const snapshotList = document.getElementById('snapshotList');
+
+    snapshotSettings.classList.toggle('hidden', snapshots.length === 0);
+    snapshotList.innerHTML = snapshots.map(snapshot => `
+        <div class="snapshot-entry">
+            <div class="snapshot-row">
+                <span>
+                    ${escapeHtml(new Date(snapshot.createdAt).toLocaleString())}
+                    &middot; ${escapeHtml(SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason)}
+                    &middot; ${snapshot.blockCount} blocks
+                </span>
+                <span class="snapshot-buttons">
+                    <button class="btn btn-secondary btn-small snapshot-compare" data-snapshot-id="${escapeHtml(snapshot.id)}">Compare</button>
+                    <button class="btn btn-secondary btn-small snapshot-restore" data-snapshot-id="${escapeHtml(snapshot.id)}">Restore</button>
+                </span>
+            </div>
+            <div class="snapshot-diff hidden"></div>
+        </div>
+    `).join('');
+}
+
+// Compare a snapshot with the live form, or restore it
+async function handleSnapshotAction(e) {
+    const button = e.target.closest('.snapshot-compare, .snapshot-restore');
+    if (!button) {
+        return;
+    }
+
+    const restore = button.classList.contains('snapshot-restore');
+    if (restore && !confirm('Replace the form\'s current blocks with this snapshot? The current blocks are saved to the history first.')) {
+        return;
+    }
+
+    const diff = button.closest('.snapshot-entry').querySelector('.snapshot-diff');
+    button.disabled = true;
+    hideError();
+
+    try {
+        const response = await fetch(restore ? '/api/restore-snapshot' : '/api/compare-snapshot', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                formId: state.selectedForm.id,
+                snapshotId: button.dataset.snapshotId
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to compare snapshot');
+        }
+
+        const data = await response.json();
+
+        if (restore) {
+            await loadSnapshots();
+            alert(data.restored ? 'The snapshot was restored.' : 'The form already matches this snapshot.');
+            return;
+        }
+
+        diff.innerHTML = describeSnapshotChanges(data);
+        diff.classList.remove('hidden');
+
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// What restoring a snapshot would change, as HTML
+function describeSnapshotChanges({ changes, orderChanged }) {
+    if (changes.length === 0 && !orderChanged) {
+        return 'The live form matches this snapshot.';
+    }
+
+    const verbs = { added: 'Brings back', removed: 'Removes', changed: 'Changes' };
+    const items = changes.map(change => {
+        const name = change.summary ? `"${change.summary}"` : change.uuid.substring(0, 8);
+        const keys = change.keys.length > 0 ? ` (${change.keys.join(', ')})` : '';
+        return `<li>${verbs[change.change]} ${escapeHtml(change.type)} ${escapeHtml(name)}${escapeHtml(keys)}</li>`;
+    });
+    if (orderChanged) {
+        items.push('<li>Puts the blocks back in their earlier order</li>');
+    }
+
+    return `Restoring this snapshot:<ul>${items.join('')}</ul>`;
+}
+
+// Display number fields, whose year-based ranges get their own cards
+function displayNumberFields() {
+    const numberFieldsSection = document.getElementById('numberFieldsSection');
+    const numberFieldsList = document.getElementById('numberFieldsList');
+
+    numberFieldsList.innerHTML = '';
+    numberFieldsSection.classList.toggle('hidden', state.numberFields.length === 0);
+
+    state.numberFields.forEach(field => {
+        const existingConfig = currentFieldConfigurations()[field.uuid] || {};
+        const enabled = existingConfig.enabled !== false;
+        const offset = key => existingConfig[key] ?? '';
+        const currentRange = [field.minNumber ?? 'no minimum', field.maxNumber ?? 'no maximum'].join(' to ');
+
+        const fieldCard = document.createElement('div');
+        fieldCard.className = 'number-field-card';
+        fieldCard.dataset.fieldId = field.uuid;
+        if (!enabled) {
+            fieldCard.classList.add('disabled');
+        }
+
+        fieldCard.innerHTML = `
+            <div class="field-header">
+                <h3>${escapeHtml(field.label || 'Number Field')}</h3>
+                <label class="toggle-switch">
+                    <input type="checkbox" data-field-id="${field.uuid}" class="field-toggle" ${enabled ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                </label>
+            </div>
+            <div class="date-inputs">
+                <div class="date-input-group">
+                    <label>Minimum (current year +):</label>
+                    <input type="number"
+                           placeholder="e.g. -100"
+                           value="${offset('minYearOffset')}"
+                           data-key="minYearOffset"
+                           class="number-offset-input"
+                           ${!enabled ? 'disabled' : ''}>
+                    <small>Smallest allowed number as years from the current year. Leave blank to keep the form's minimum.</small>
+                </div>
+                <div class="date-input-group">
+                    <label>Maximum (current year +):</label>
+                    <input type="number"
+                           placeholder="e.g. -18"
+                           value="${offset('maxYearOffset')}"
+                           data-key="maxYearOffset"
+                           class="number-offset-input"
+                           ${!enabled ? 'disabled' : ''}>
+                    <small>Largest allowed number as years from the current year. Leave blank to keep the form's maximum.</small>
+                </div>
+                ${renderTimezoneSelect(field.uuid, existingConfig.timezone, enabled)}
+                <div class="choice-current">
+                    <small>Current range: ${currentRange}</small>
+                </div>
+            </div>
+        `;
+
+        numberFieldsList.appendChild(fieldCard);
+    });
+}
+
+// Render the card of a dropdown or multiple choice question whose options can be
+// generated from dates. Unlike date fields these start switched off, because saving
+// an enabled rule replaces all of the question's options.
+function renderChoiceFieldCard(field) {
+    const existingConfig = currentFieldConfigurations()[field.uuid] || {};
+    const enabled = existingConfig.enabled === true;
+    const weekdays = existingConfig.weekdays || [];
+    const count = existingConfig.count ?? 6;
+    const minDays = existingConfig.minDays ?? 0;
+    const format = existingConfig.format || 'EEE, MMM d';
+    const typeLabel = field.type === 'MULTIPLE_CHOICE' ? 'Multiple choice' : 'Dropdown';
+
+    const fieldCard = document.createElement('div');
+    fieldCard.className = 'date-field-card choice-field-card';
+    fieldCard.dataset.fieldId = field.uuid;
+    if (!enabled) {
+        fieldCard.classList.add('disabled');
+    }
+
+    fieldCard.innerHTML = `
+        <div class="field-header">
+            <h3>${escapeHtml(field.label || 'Choice Field')} <span class="field-type">${typeLabel}</span></h3>
+            <label class="toggle-switch">
+                <input type="checkbox" data-field-id="${field.uuid}" class="field-toggle" ${enabled ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+            </label>
+        </div>
+        <div class="date-inputs">
+            <div class="date-input-group">
+                <label>Number of dates:</label>
+                <input type="number" min="1" max="100" value="${count}" class="choice-count" ${!enabled ? 'disabled' : ''}>
+                <small>How many upcoming dates to offer as options.</small>
+            </div>
+            <div class="date-input-group">
+                <label>Starting (days from today):</label>
+                <input type="number" value="${minDays}" class="choice-start" ${!enabled ? 'disabled' : ''}>
+                <small>0 = today is the first possible date, 1 = tomorrow.</small>
+            </div>
+            <div class="date-input-group">
+                <label>Only on:</label>
+                <div class="weekday-checkboxes">
+                    ${WEEKDAYS.map((name, day) => `
+                        <label class="weekday-checkbox">
+                            <input type="checkbox"
+                                   value="${day}"
+                                   class="choice-weekday"
+                                   ${weekdays.includes(day) ? 'checked' : ''}
+                                   ${!enabled ? 'disabled' : ''}>
+                            ${name}
+                        </label>
+                    `).join('')}
+                </div>
+                <small>Leave all unchecked to offer every day. Holidays from the form's calendar are skipped.</small>
+            </div>
+            <div class="date-input-group">
+                <label>Option format:</label>
+                <input type="text" value="${escapeHtml(format)}" class="form-input choice-format" ${!enabled ? 'disabled' : ''}>
+                <small>e.g. EEE, MMM d = "Sun, Oct 26". Options that keep the same text keep their identity in Tally.</small>
+            </div>
+            ${renderCapacityInputs(field.uuid, existingConfig.capacity, enabled)}
+            ${renderTimezoneSelect(field.uuid, existingConfig.timezone, enabled)}
+            <div class="choice-current">
+                <small>Current options: ${field.options.length > 0 ? field.options.map(escapeHtml).join(' · ') : 'none'}</small>
+            </div>
+        </div>
+    `;
+
+    return fieldCard;
+}
+
+// Render the select that links a date field to another one: its offsets are then
+// counted from the other field's earliest and latest dates instead of today
+function renderBaseFieldSelect(fieldId, baseField, enabled) {
+    const otherFields = state.dateFields.filter(field => field.uuid !== fieldId);
+
+    if (otherFields.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="date-input-group">
+            <label>Offsets counted from:</label>
+            <select data-field-id="${fieldId}"
+                    class="base-field-select"
+                    ${!enabled ? 'disabled' : ''}>
+                <option value="" ${!baseField ? 'selected' : ''}>Today</option>
+                ${otherFields.map(field => `
+                    <option value="${field.uuid}" ${field.uuid === baseField ? 'selected' : ''}>${escapeHtml(field.label || 'Date Field')}</option>
+                `).join('')}
+            </select>
+            <small>Link this field to another one, e.g. check-out from check-in's earliest date + 1 to its latest date + 14. Leave the "counted from" dates below blank when linking.</small>
+        </div>
+    `;
+}
+
+// Render the select for a field's own timezone, which overrides the form's timezone
+function renderTimezoneSelect(fieldId, timezone, enabled) {
+    const timezones = timezone && !COMMON_TIMEZONES.includes(timezone) ? [timezone, ...COMMON_TIMEZONES] : COMMON_TIMEZONES;
+
+    return `
+        <div class="date-input-group">
+            <label>Timezone:</label>
+            <select data-field-id="${fieldId}"
+                    class="field-timezone-select"
+                    ${!enabled ? 'disabled' : ''}>
+                <option value="" ${!timezone ? 'selected' : ''}>Form timezone</option>
+                ${timezones.map(tz => `
+                    <option value="${tz}" ${tz === timezone ? 'selected' : ''}>${tz.replace(/_/g, ' ')}</option>
+                `).join('')}
+            </select>
+            <small>Use another timezone for this field, e.g. for an event in another city. "Today" and the cutoff hour follow this timezone.</small>
+        </div>
+    `;
+}
+
+// Render the per-weekday offset grid: one column per weekday, rows for earliest and latest
+function renderWeekdayOffsetGrid(fieldId, weekdayOffsets, enabled) {
+    const cell = (day, key) => {
+        const value = weekdayOffsets[day]?.[key] ?? '';
+        return `
+            <td>
+                <input type="number"
+                       value="${value}"
+                       data-weekday="${day}"
+                       data-key="${key}"
+                       class="weekday-offset-input"
+                       ${!enabled ? 'disabled' : ''}>
+            </td>
+        `;
+    };
+
+    return `
+        <div class="date-input-group weekday-offsets" data-field-id="${fieldId}">
+            <label>Per-weekday offsets:</label>
+            <table class="weekday-grid">
+                <tr>
+                    <th></th>
+                    ${WEEKDAYS.map(name => `<th>${name}</th>`).join('')}
+                </tr>
+                <tr>
+                    <th>Earliest</th>
+                    ${WEEKDAYS.map((_, day) => cell(day, 'minDays')).join('')}
+                </tr>
+                <tr>
+                    <th>Latest</th>
+                    ${WEEKDAYS.map((_, day) => cell(day, 'maxDays')).join('')}
+                </tr>
+            </table>
+            <small>Override the offsets above on the day the form is filled in, e.g. 3 on Friday. Leave blank to use the offsets above.</small>
+        </div>
+    `;
+}
+
+// Render the calendar anchor inputs for the earliest (min) or latest (max) boundary
+function renderAnchorInputs(fieldId, edge, anchor, enabled) {
+    const type = anchor?.type || '';
+    const periods = anchor?.periods ?? 0;
+    const weekday = anchor?.weekday ?? 0;
+
+    return `
+        <div class="date-input-group anchor-inputs" data-field-id="${fieldId}" data-edge="${edge}">
+            <label>${edge === 'min' ? 'Earliest' : 'Latest'} snaps to:</label>
+            <select class="anchor-type" ${!enabled ? 'disabled' : ''}>
+                ${ANCHOR_OPTIONS.map(option => `
+                    <option value="${option.value}" ${option.value === type ? 'selected' : ''}>${option.label}</option>
+                `).join('')}
+            </select>
+            <select class="anchor-weekday ${type !== 'nextWeekday' ? 'hidden' : ''}" ${!enabled ? 'disabled' : ''}>
+                ${WEEKDAYS.map((name, day) => `
+                    <option value="${day}" ${day === weekday ? 'selected' : ''}>${name}</option>
+                `).join('')}
+            </select>
+            <input type="number"
+                   class="anchor-periods ${!type ? 'hidden' : ''}"
+                   value="${periods}"
+                   title="Periods ahead: 0 = this, 1 = next, -1 = previous"
+                   ${!enabled ? 'disabled' : ''}>
+            <small>Snap to a calendar date before the offset is added, e.g. End of month with 1 period ahead = end of next month.</small>
+        </div>
+    `;
+}
+
+// Show the weekday and period inputs that apply to the chosen anchor
+function handleAnchorChange(e) {
+    const group = e.target.closest('.anchor-inputs');
+    const fieldCard = e.target.closest('.date-field-card');
+    const type = e.target.value;
+
+    group.querySelector('.anchor-weekday').classList.toggle('hidden', type !== 'nextWeekday');
+    group.querySelector('.anchor-periods').classList.toggle('hidden', !type);
+
+    const usesWeekAnchor = Array.from(fieldCard.querySelectorAll('.anchor-type'))
+        .some(select => ['startOfWeek', 'endOfWeek'].includes(select.value));
+    fieldCard.querySelector('.week-start').classList.toggle('hidden', !usesWeekAnchor);
+}
+
+// Handle offset unit change
+function handleUnitChange(e) {
+    const fieldCard = e.target.closest('.date-field-card');
+    fieldCard.querySelector('.weekend-days').classList.toggle('hidden', e.target.value !== 'business');
+}
+
+// Handle field enable/disable toggle
+function handleFieldToggle(e) {
+    const fieldId = e.target.dataset.fieldId;
+    const enabled = e.target.checked;
+
+    getFieldConfiguration(fieldId).enabled = enabled;
+
+    // Enable/disable inputs
+    const fieldCard = e.target.closest('.date-field-card, .number-field-card');
+    const inputs = fieldCard.querySelectorAll('.date-inputs input, .date-inputs select');
+
+    inputs.forEach(input => {
+        input.disabled = !enabled;
+    });
+
+    if (enabled) {
+        fieldCard.classList.remove('disabled');
+    } else {
+        fieldCard.classList.add('disabled');
+    }
+}
+
+// Gather the field card inputs into the configurations being edited
+function collectFieldConfigurations() {
+    document.querySelectorAll('.days-input').forEach(input => {
+        const fieldConfig = getFieldConfiguration(input.dataset.fieldId);
+        const value = input.value === '' ? null : parseInt(input.value);
+
+        if (input.dataset.type === 'min') {
+            fieldConfig.minDays = value;
+        } else {
+            fieldConfig.maxDays = value;
+        }
+    });
+
+    document.querySelectorAll('.rule-date-input').forEach(input => {
+        getFieldConfiguration(input.dataset.fieldId)[input.dataset.key] = input.value || null;
+    });
+
+    document.querySelectorAll('.anchor-inputs').forEach(group => {
+        const fieldConfig = getFieldConfiguration(group.dataset.fieldId);
+        const type = group.querySelector('.anchor-type').value;
+        const key = group.dataset.edge === 'min' ? 'minAnchor' : 'maxAnchor';
+
+        if (!type) {
+            fieldConfig[key] = null;
+            return;
+        }
+
+        fieldConfig[key] = {
+            type,
+            periods: parseInt(group.querySelector('.anchor-periods').value) || 0
+        };
+
+        if (type === 'nextWeekday') {
+            fieldConfig[key].weekday = parseInt(group.querySelector('.anchor-weekday').value);
+        }
+    });
+
+    document.querySelectorAll('.weekday-offsets').forEach(group => {
+        const weekdayOffsets = {};
+
+        group.querySelectorAll('.weekday-offset-input').forEach(input => {
+            if (input.value === '') {
+                return;
+            }
+
+            const day = input.dataset.weekday;
+            weekdayOffsets[day] = weekdayOffsets[day] || {};
+            weekdayOffsets[day][input.dataset.key] = parseInt(input.value);
+        });
+
+        getFieldConfiguration(group.dataset.fieldId).weekdayOffsets = Object.keys(weekdayOffsets).length > 0 ? weekdayOffsets : null;
+    });
+
+    document.querySelectorAll('.field-timezone-select').forEach(select => {
+        getFieldConfiguration(select.dataset.fieldId).timezone = select.value || null;
+    });
+
+    document.querySelectorAll('.base-field-select').forEach(select => {
+        getFieldConfiguration(select.dataset.fieldId).baseField = select.value || null;
+    });
+
+    document.querySelectorAll('.cutoff-select').forEach(select => {
+        getFieldConfiguration(select.dataset.fieldId).cutoffHour = select.value === '' ? null : parseInt(select.value);
+    });
+
+    document.querySelectorAll('.week-start-select').forEach(select => {
+        getFieldConfiguration(select.dataset.fieldId).weekStartsOn = parseInt(select.value);
+    });
+
+    document.querySelectorAll('.number-field-card').forEach(fieldCard => {
+        const fieldConfig = getFieldConfiguration(fieldCard.dataset.fieldId);
+
+        fieldConfig.type = 'number';
+        fieldCard.querySelectorAll('.number-offset-input').forEach(input => {
+            fieldConfig[input.dataset.key] = input.value === '' ? null : parseInt(input.value);
+        });
+    });
+
+    document.querySelectorAll('.capacity-input').forEach(input => {
+        getFieldConfiguration(input.dataset.fieldId).capacity = input.value === '' ? null : parseInt(input.value);
+    });
+
+    document.querySelectorAll('.choice-field-card').forEach(fieldCard => {
+        const fieldConfig = getFieldConfiguration(fieldCard.dataset.fieldId);
+        const weekdays = Array.from(fieldCard.querySelectorAll('.choice-weekday:checked'))
+            .map(checkbox => parseInt(checkbox.value));
+
+        fieldConfig.type = 'choices';
+        fieldConfig.enabled = fieldCard.querySelector('.field-toggle').checked;
+        fieldConfig.count = parseInt(fieldCard.querySelector('.choice-count').value) || 1;
+        fieldConfig.minDays = parseInt(fieldCard.querySelector('.choice-start').value) || 0;
+        fieldConfig.weekdays = weekdays.length > 0 ? weekdays : null;
+        fieldConfig.format = fieldCard.querySelector('.choice-format').value.trim() || null;
+    });
+
+    document.querySelectorAll('.unit-select').forEach(select => {
+        const fieldConfig = getFieldConfiguration(select.dataset.fieldId);
+        const fieldCard = select.closest('.date-field-card');
+
+        fieldConfig.unit = select.value;
+
+        if (select.value === 'business') {
+            fieldConfig.weekendDays = Array.from(fieldCard.querySelectorAll('.weekend-day:checked'))
+                .map(checkbox => parseInt(checkbox.value));
+        } else {
+            delete fieldConfig.weekendDays;
+        }
+    });
+}
+
+// Save configuration
+async function saveConfiguration() {
+    const saveBtn = document.getElementById('saveConfigBtn');
+    const originalText = saveBtn.textContent;
+
+    // Disable button and show saving state
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+    hideError();
+
+    collectFieldConfigurations();
+
+    try {
+        const response = await fetch('/api/save-config', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(buildConfigRequest())
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save configuration');
+        }
+
+        showSuccessSection();
+
+    } catch (error) {
+        showError(error.message);
+        saveBtn.disabled = false;
+        saveBtn.textContent = originalText;
+    }
+}
+
+// Stop managing the selected form, optionally putting back its original limits
+async function deleteConfiguration() {
+    const form = state.selectedForm;
+    if (!confirm(`Stop managing "${form.name || form.id}"? Its saved settings will be deleted.`)) {
+        return;
+    }
+
+    const deleteBtn = document.getElementById('deleteConfigBtn');
+    deleteBtn.disabled = true;
+    hideError();
+
+    try {
+        const response = await fetch('/api/delete-config', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                formId: form.id,
+                restoreOriginalLimits: document.getElementById('restoreOriginalLimits').checked
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete configuration');
+        }
+
+        form.configured = false;
+        delete state.managedConfigs[form.id];
+        displayForms();
+        resetToStart();
+
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        deleteBtn.disabled = false;
+    }
+}
+
+// Body of a save or preview config request, from the settings on screen
+function buildConfigRequest() {
+    return {
+        formId: state.selectedForm.id,
+        timezone: state.timezone,
+        fields: state.configurations,
+        ruleSets: state.ruleSets,
+        holidayListId: state.holidayListId,
+        submissionCap: collectSubmissionCap()
+    };
+}
+
+// Show what saving would change on the form, without changing it
+async function previewConfiguration() {
+    const previewBtn = document.getElementById('previewConfigBtn');
+    const preview = document.getElementById('configPreview');
+
+    previewBtn.disabled = true;
+    hideError();
+
+    collectFieldConfigurations();
+
+    try {
+        const response = await fetch('/api/preview-config', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(buildConfigRequest())
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to preview changes');
+        }
+
+        preview.innerHTML = describeConfigPreview(await response.json());
+        preview.classList.remove('hidden');
+
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        previewBtn.disabled = false;
+    }
+}
+
+// Preview of the changes saving would make, as HTML
+function describeConfigPreview(preview) {
+    if (preview.skipped) {
+        return escapeHtml(`${preview.skipped} - saving won't change the form right now.`);
+    }
+
+    const fieldLabels = {};
+    [...state.dateFields, ...state.numberFields, ...state.choiceFields].forEach(field => {
+        fieldLabels[field.uuid] = field.label;
+    });
+
+    const formatValues = values => Object.entries(values)
+        .map(([key, value]) => escapeHtml(`${key}: ${Array.isArray(value) ? value.join(', ') : value ?? 'none'}`))
+        .join('<br>');
+
+    const rows = preview.fields.map(field => `
+        <tr class="${field.changed ? 'changed' : ''}">
+            <td>${escapeHtml(fieldLabels[field.uuid] || field.label)}</td>
+            <td>${formatValues(field.current)}</td>
+            <td>${formatValues(field.next)}</td>
+            <td>${field.changed ? 'Changes' : 'No change'}</td>
+        </tr>
+    `).join('');
+
+    const notes = [];
+    if (!preview.modified) {
+        notes.push('Saving won\'t change the form right now.');
+    }
+    if (preview.templatesChanged) {
+        notes.push('Template text in the form will be updated too.');
+    }
+    if (preview.capReached) {
+        notes.push('The submission cap is reached.');
+    }
+
+    return `
+        ${notes.map(note => `<p>${escapeHtml(note)}</p>`).join('')}
+        ${rows ? `<table>
+            <tr><th>Field</th><th>Now</th><th>After saving</th><th></th></tr>
+            ${rows}
+        </table>` : '<p>No managed fields on this form.</p>'}
+    `;
+}
+
+// Field configurations being edited: those of the selected rule set, if there are rule sets
+function currentFieldConfigurations() {
+    if (state.ruleSetIndex === null) {
+        return state.configurations;
+    }
+    return state.ruleSets[state.ruleSetIndex].fields;
+}
+
+// Get the configuration of a field, creating an enabled one if it doesn't exist yet
+function getFieldConfiguration(fieldId) {
+    const configurations = currentFieldConfigurations();
+    if (!configurations[fieldId]) {
+        configurations[fieldId] = { enabled: true };
+    }
+    return configurations[fieldId];
+}
+
+// Load saved configuration on page load
+async function loadSavedConfiguration() {
+    // API keys are kept in a server-side session now, not in the browser
+    localStorage.removeItem('tallyApiKey');
+
+    try {
+        const response = await fetch('/api/session');
+        const data = await response.json();
+        displaySignedIn(!!data.signedIn);
+    } catch (error) {
+        console.error(error);
+        displaySignedIn(false);
+    }
+}
+
+// Exchange the API key for a session cookie - the key itself isn't kept in the browser
+async function signIn(apiKey) {
+    const response = await fetch('/api/session', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ apiKey })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to sign in');
+    }
+
+    document.getElementById('apiKey').value = '';
+    displaySignedIn(true);
+}
+
+// End the session and go back to entering an API key
+async function signOut() {
+    hideError();
+
+    try {
+        await fetch('/api/session', { method: 'DELETE' });
+    } catch (error) {
+        showError(error.message);
+    }
+
+    state.forms = [];
+    resetToStart();
+    document.getElementById('formsSection').classList.add('hidden');
+    displaySignedIn(false);
+}
+
+// Show the API key input, or that the browser is signed in
+function displaySignedIn(signedIn) {
+    state.signedIn = signedIn;
+    document.getElementById('apiKeyGroup').classList.toggle('hidden', signedIn);
+    document.getElementById('signedInInfo').classList.toggle('hidden', !signedIn);
+}
+
+// UI Helper functions
+function showFormsSection() {
+    document.getElementById('formsSection').classList.remove('hidden');
+    document.getElementById('fieldsSection').classList.add('hidden');
+    document.getElementById('scheduleSection').classList.add('hidden');
+    document.getElementById('successSection').classList.add('hidden');
+}
+
+function showFieldsSection() {
+    document.getElementById('formsSection').classList.add('hidden');
+    document.getElementById('fieldsSection').classList.remove('hidden');
+    document.getElementById('scheduleSection').classList.remove('hidden');
+    document.getElementById('successSection').classList.add('hidden');
+}
+
+function showSuccessSection() {
+    document.getElementById('formsSection').classList.add('hidden');
+    document.getElementById('fieldsSection').classList.add('hidden');
+    document.getElementById('scheduleSection').classList.add('hidden');
+    document.getElementById('successSection').classList.remove('hidden');
 }
 
 function resetToStart() {
     state.selectedForm = null;
     state.dateFields = [];
+    state.numberFields = [];
+    state.choiceFields = [];
     state.configurations = {};
+    state.capacityCounts = {};
+    state.webhookPath = null;
+    state.webhookSecret = null;
+    state.ruleSets = [];
+    state.ruleSetIndex = null;
+    state.scheduleEvents = [];
+    state.holidayListId = null;
 
     // Go back to the forms list (no need to reload)
     showFormsSection();
@@ -0,0 +1,98 @@
+// Encryption of the Tally API keys stored in KV
+// Keys are encrypted with AES-GCM using the API_KEY_ENCRYPTION_KEY worker secret (32 random
+// bytes, base64) and stored as "enc:v1:<keyId>:<iv>:<ciphertext>", where keyId identifies
+// the secret that was used. To rotate the secret, move the current one to
+// API_KEY_ENCRYPTION_KEY_PREVIOUS and set a new API_KEY_ENCRYPTION_KEY: stored keys stay
+// readable and the hourly cron re-encrypts them with the new secret (see needsReencryption).
+
+const ENVELOPE_PREFIX = 'enc:v1:';
+
+// Encrypt an API key with the current secret. Without a secret the key is stored as is.
+export async function encryptApiKey(apiKey, env) {
+  const current = await loadEncryptionKey(env.API_KEY_ENCRYPTION_KEY);
+  if (!current) {
+    console.warn('API_KEY_ENCRYPTION_KEY is not set - storing the API key unencrypted');
+    return apiKey;
+  }
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    current.key,
+    new TextEncoder().encode(apiKey)
+  );
+
+  return `${ENVELOPE_PREFIX}${current.id}:${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`;
+}
+
+// Decrypt a stored API key with whichever secret it was encrypted with.
+// Keys stored before encryption was set up are returned as they are.
+export async function decryptApiKey(storedApiKey, env) {
+  if (!isEncrypted(storedApiKey)) {
+    return storedApiKey;
+  }
+
+  const [keyId, iv, ciphertext] = storedApiKey.substring(ENVELOPE_PREFIX.length).split(':');
+  const encryptionKey = (await loadEncryptionKeys(env)).find(candidate => candidate.id === keyId);
+
+  if (!encryptionKey) {
+    throw new Error(`API key was encrypted with an unknown encryption key (${keyId})`);
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    encryptionKey.key,
+    fromBase64(ciphertext)
+  );
+
+  return new TextDecoder().decode(plaintext);
+}
+
+// Whether a stored API key should be encrypted again with the current secret:
+// it's unencrypted, or was encrypted with a previous secret
+export async function needsReencryption(storedApiKey, env) {
+  const current = await loadEncryptionKey(env.API_KEY_ENCRYPTION_KEY);
+  if (!current || !storedApiKey) {
+    return false;
+  }
+
+  return !isEncrypted(storedApiKey) || !storedApiKey.startsWith(`${ENVELOPE_PREFIX}${current.id}:`);
+}
+
+function isEncrypted(storedApiKey) {
+  return typeof storedApiKey === 'string' && storedApiKey.startsWith(ENVELOPE_PREFIX);
+}
+
+async function loadEncryptionKeys(env) {
+  const keys = await Promise.all([
+    loadEncryptionKey(env.API_KEY_ENCRYPTION_KEY),
+    loadEncryptionKey(env.API_KEY_ENCRYPTION_KEY_PREVIOUS)
+  ]);
+  return keys.filter(Boolean);
+}
+
+// Import a base64 secret as an AES-GCM key, identified by the first bytes of its SHA-256 hash
+async function loadEncryptionKey(secret) {
+  if (!secret) {
+    return null;
+  }
+
+  const raw = fromBase64(secret);
+  if (raw.length !== 32) {
+    throw new Error('Encryption keys must be 32 bytes, base64 encoded');
+  }
+
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+  const id = Array.from(digest.slice(0, 4)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+  return { id, key };
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
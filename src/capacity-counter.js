@@ -0,0 +1,72 @@
+// Per-form capacity counts, kept in a Durable Object
+// Submission webhooks can arrive at the same time. Reading the counts from KV, adding one
+// and writing them back would lose one of two increments that overlap, and overbook the
+// date. A Durable Object runs one request at a time, so every count goes through one.
+// There is one object per config, named by the config ID (hash of the form ID), holding
+// the record described in capacity.js. Counts stored in KV (capacity:{hash(formId)}) by
+// earlier versions are moved into the object the first time it's used.
+
+import { DurableObject } from 'cloudflare:workers';
+import { adjustCount, rememberEvent, pruneCounts } from './capacity.js';
+
+export class CapacityCounter extends DurableObject {
+  // The form's counts: { counts: { fieldUuid: { 'YYYY-MM-DD': n } }, eventIds }
+  async read(configId) {
+    return this.load(configId);
+  }
+
+  // Count the dates of a submission, once per webhook event. "dates" is a list of
+  // { uuid, date }. Returns the new counts as [{ uuid, date, count }], or null when the
+  // event was counted before.
+  async countSubmission(configId, eventId, dates, today) {
+    const record = await this.load(configId);
+    if (!rememberEvent(record, eventId)) {
+      return null;
+    }
+
+    const counts = dates.map(({ uuid, date }) => ({ uuid, date, count: adjustCount(record, uuid, date, 1) }));
+    pruneCounts(record, today);
+    await this.ctx.storage.put('record', record);
+
+    return counts;
+  }
+
+  // Set a field's count for a date, returning the field's counts
+  async setCount(configId, fieldUuid, date, count) {
+    const record = await this.load(configId);
+    const previous = record.counts?.[fieldUuid]?.[date] || 0;
+
+    adjustCount(record, fieldUuid, date, count - previous);
+    await this.ctx.storage.put('record', record);
+
+    return record.counts[fieldUuid] || {};
+  }
+
+  // Forget every count, when the form's config is deleted
+  async clear(configId) {
+    this.record = null;
+    this.loading = null;
+    await this.ctx.storage.deleteAll();
+    await this.env.TALLYFORMS.delete(`capacity:${configId}`);
+  }
+
+  // Requests wait for the same first load, then change the record in memory without
+  // awaiting in between - so they can't overwrite each other's counts
+  async load(configId) {
+    this.loading = this.loading || this.loadStored(configId);
+    this.record = this.record || await this.loading;
+    return this.record;
+  }
+
+  async loadStored(configId) {
+    const stored = await this.ctx.storage.get('record');
+    if (stored) {
+      return stored;
+    }
+
+    const record = await this.env.TALLYFORMS.get(`capacity:${configId}`, { type: 'json' }) || { counts: {} };
+    await this.ctx.storage.put('record', record);
+    await this.env.TALLYFORMS.delete(`capacity:${configId}`);
+    return record;
+  }
+}
@@ -0,0 +1,168 @@
+// Per-date capacity limits counted from Tally submission webhooks
+// A field config with "capacity" takes at most that many submissions per date. Counts
+// are kept by the CapacityCounter Durable Object (capacity-counter.js) as
+// { counts: { fieldUuid: { 'YYYY-MM-DD': n } }, eventIds } where eventIds are the most
+// recent webhook deliveries, so retried deliveries count once.
+
+import { formatDate } from './date-rules.js';
+
+// How many delivered webhook event IDs are remembered for deduplication
+const MAX_EVENT_IDS = 200;
+
+// Webhook field types that can be counted, and the kind of managed field they belong to
+const ANSWER_KINDS = {
+  INPUT_DATE: 'date',
+  DROPDOWN: 'choices',
+  MULTIPLE_CHOICE: 'choices'
+};
+
+// Validate a per-date capacity, returning an error message or null
+export function validateCapacity(capacity) {
+  if (capacity === undefined || capacity === null) {
+    return null;
+  }
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    return 'capacity must be a whole number of at least 1';
+  }
+
+  return null;
+}
+
+// Random signing secret to enter in Tally's webhook settings
+export function generateWebhookSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return btoa(String.fromCharCode(...bytes));
+}
+
+// Check the Tally-Signature header: a base64 HMAC-SHA256 of the raw request body
+export async function verifyTallySignature(rawBody, signature, secret) {
+  if (!signature || !secret) {
+    return false;
+  }
+
+  let signatureBytes;
+  try {
+    signatureBytes = Uint8Array.from(atob(signature), char => char.charCodeAt(0));
+  } catch {
+    return false;
+  }
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+
+  return crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(rawBody));
+}
+
+// Match the answers of a FORM_RESPONSE webhook to capacity-limited fields.
+// "capacityFields" is a list of { uuid, kind: 'date' | 'choices' }. A webhook field is
+// matched by its key when the key contains the field UUID; otherwise it is matched when
+// there is only one capacity-limited field of its kind.
+// Returns [{ uuid, kind, values }] where values are dates (date fields) or option texts.
+export function findCapacityAnswers(webhookFields, capacityFields) {
+  const answers = [];
+
+  for (const webhookField of webhookFields || []) {
+    const kind = ANSWER_KINDS[webhookField.type];
+    if (!kind || webhookField.value === null || webhookField.value === undefined) {
+      continue;
+    }
+
+    const candidates = capacityFields.filter(field => field.kind === kind);
+    const field = candidates.find(candidate => webhookField.key?.includes(candidate.uuid))
+      || (candidates.length === 1 ? candidates[0] : null);
+    if (!field) {
+      continue;
+    }
+
+    let values;
+    if (kind === 'date') {
+      values = typeof webhookField.value === 'string' ? [webhookField.value] : [];
+    } else {
+      const selected = Array.isArray(webhookField.value) ? webhookField.value : [webhookField.value];
+      values = selected
+        .map(id => webhookField.options?.find(option => option.id === id)?.text)
+        .filter(Boolean);
+    }
+
+    if (values.length > 0) {
+      answers.push({ uuid: field.uuid, kind, values });
+    }
+  }
+
+  return answers;
+}
+
+// Whether a field has reached its capacity on a date
+export function isDateFull(record, fieldUuid, date, capacity) {
+  if (!capacity || !record) {
+    return false;
+  }
+  return (record.counts?.[fieldUuid]?.[date] || 0) >= capacity;
+}
+
+// Change a field's count for a date by "delta", never going below zero
+export function adjustCount(record, fieldUuid, date, delta) {
+  record.counts = record.counts || {};
+  const counts = record.counts[fieldUuid] = record.counts[fieldUuid] || {};
+  const count = Math.max(0, (counts[date] || 0) + delta);
+
+  if (count === 0) {
+    delete counts[date];
+  } else {
+    counts[date] = count;
+  }
+
+  return count;
+}
+
+// Remember a webhook event ID, returning false if it was already counted
+export function rememberEvent(record, eventId) {
+  if (!eventId) {
+    return true;
+  }
+
+  record.eventIds = record.eventIds || [];
+  if (record.eventIds.includes(eventId)) {
+    return false;
+  }
+
+  record.eventIds.push(eventId);
+  record.eventIds = record.eventIds.slice(-MAX_EVENT_IDS);
+  return true;
+}
+
+// Drop counts for dates before today - they can't be chosen anymore
+export function pruneCounts(record, today) {
+  const todayString = formatDate(today);
+
+  for (const [fieldUuid, counts] of Object.entries(record.counts || {})) {
+    for (const date of Object.keys(counts)) {
+      if (date < todayString) {
+        delete counts[date];
+      }
+    }
+
+    if (Object.keys(counts).length === 0) {
+      delete record.counts[fieldUuid];
+    }
+  }
+}
+
+// Move a date picker's earliest date past the full dates at the start of its window.
+// When every date up to the latest date is full, the window ends up empty.
+export function skipFullDates(minDate, maxDate, isFull) {
+  const date = new Date(minDate);
+
+  while (isFull(formatDate(date)) && (!maxDate || date <= maxDate)) {
+    date.setDate(date.getDate() + 1);
+  }
+
+  return date;
+}
@@ -0,0 +1,151 @@
+// Rolling date choices for DROPDOWN and MULTIPLE_CHOICE questions
+// In Tally a choice question is a run of option blocks sharing a groupUuid. A choice
+// rule is stored in the config's fields under that groupUuid as
+// { type: 'choices', enabled, weekdays, count, minDays, format } and regenerates
+// the options as "the next <count> dates on <weekdays>, starting <minDays> from today".
+
+import { formatDate } from './date-rules.js';
+import { formatDatePattern, datePatternTokens } from './templates.js';
+
+// Option block type for each kind of choice question
+export const CHOICE_OPTION_TYPES = {
+  DROPDOWN: 'DROPDOWN_OPTION',
+  MULTIPLE_CHOICE: 'MULTIPLE_CHOICE_OPTION'
+};
+
+export const DEFAULT_CHOICE_FORMAT = 'EEE, MMM d';
+
+// Most options a rule may generate
+const MAX_CHOICES = 100;
+
+// Validate a choice rule, returning an error message or null
+export function validateChoiceRules(fieldConfig) {
+  if (!Number.isInteger(fieldConfig.count) || fieldConfig.count < 1 || fieldConfig.count > MAX_CHOICES) {
+    return `count must be a whole number from 1 to ${MAX_CHOICES}`;
+  }
+
+  if (fieldConfig.minDays !== undefined && fieldConfig.minDays !== null && !Number.isInteger(fieldConfig.minDays)) {
+    return 'minDays must be a whole number';
+  }
+
+  if (fieldConfig.weekdays !== undefined && fieldConfig.weekdays !== null) {
+    const validWeekdays = Array.isArray(fieldConfig.weekdays)
+      && fieldConfig.weekdays.length > 0
+      && fieldConfig.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!validWeekdays) {
+      return 'weekdays must be a non-empty list of weekday numbers (0 = Sunday to 6 = Saturday)';
+    }
+  }
+
+  if (fieldConfig.format !== undefined && fieldConfig.format !== null) {
+    if (typeof fieldConfig.format !== 'string' || !fieldConfig.format.trim()) {
+      return 'format must be a date format such as "EEE, MMM d"';
+    }
+
+    // Options are told apart by their label, so it must show the day and the month
+    const tokens = datePatternTokens(fieldConfig.format);
+    if (!tokens.some(token => token.startsWith('d')) || !tokens.some(token => token.startsWith('M'))) {
+      return 'format must include the day (d or dd) and the month (M, MM, MMM or MMMM)';
+    }
+  }
+
+  return null;
+}
+
+// Work out the options for a choice rule: the next "count" dates on the rule's weekdays
+// (any day when none are set), from today + minDays, skipping holidays and full dates.
+// Returns [{ date: 'YYYY-MM-DD', label }] in date order.
+export function generateChoiceOptions(today, fieldConfig, context = {}) {
+  const isHoliday = context.isHoliday || (() => false);
+  const isFull = context.isFull || (() => false);
+  const weekdays = fieldConfig.weekdays || [0, 1, 2, 3, 4, 5, 6];
+  const format = fieldConfig.format || DEFAULT_CHOICE_FORMAT;
+  const options = [];
+
+  const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + (fieldConfig.minDays || 0));
+
+  // A year beyond the last wanted date is plenty, even with a long holiday calendar
+  const lastDay = new Date(day.getFullYear() + 1, day.getMonth(), day.getDate() + fieldConfig.count * 7);
+
+  while (options.length < fieldConfig.count && day <= lastDay) {
+    const date = formatDate(day);
+    if (weekdays.includes(day.getDay()) && !isHoliday(day) && !isFull(date)) {
+      options.push({ date, label: formatDatePattern(day, format) });
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return options;
+}
+
+// Replace the options of a choice question with the given labels, in place.
+// Options whose label is still wanted keep their block (and UUID), so answers and
+// integrations that refer to them don't break; new options copy the first option's block.
+// A block is only kept for one label, so repeated labels get blocks of their own.
+// A question left without options is refilled from "fallback" (see choiceOptionTemplate).
+// Returns false when nothing changed or the question has no options to start from.
+export function replaceChoiceOptions(blocks, groupUuid, labels, fallback = null) {
+  const options = blocks.filter(block => block.groupUuid === groupUuid && isChoiceOption(block));
+  let firstIndex = blocks.findIndex(block => block.groupUuid === groupUuid && isChoiceOption(block));
+  let template = options[0];
+
+  if (firstIndex === -1) {
+    const afterIndex = fallback?.afterUuid ? blocks.findIndex(block => block.uuid === fallback.afterUuid) : -1;
+    if (afterIndex === -1) {
+      return false;
+    }
+    firstIndex = afterIndex + 1;
+    template = fallback.template;
+  }
+
+  const usedOptions = new Set();
+  const newOptions = labels.map((label, index) => {
+    const existing = options.find(option => option.payload?.text === label && !usedOptions.has(option));
+    usedOptions.add(existing);
+    const option = existing || {
+      ...template,
+      uuid: crypto.randomUUID(),
+      payload: { ...template.payload }
+    };
+
+    option.payload = {
+      ...option.payload,
+      index,
+      isFirst: index === 0,
+      isLast: index === labels.length - 1,
+      text: label
+    };
+    return option;
+  });
+
+  const unchanged = newOptions.length === options.length
+    && newOptions.every((option, index) => option.uuid === options[index].uuid && option.payload.index === options[index].payload?.index);
+  if (unchanged) {
+    return false;
+  }
+
+  const remaining = blocks.filter(block => !options.includes(block));
+  remaining.splice(firstIndex, 0, ...newOptions);
+  blocks.splice(0, blocks.length, ...remaining);
+  return true;
+}
+
+// The first option block of a choice question and the block before it, so options
+// can be put back with replaceChoiceOptions after they were all removed. Null when the
+// question has no options.
+export function choiceOptionTemplate(blocks, groupUuid) {
+  const firstIndex = blocks.findIndex(block => block.groupUuid === groupUuid && isChoiceOption(block));
+  if (firstIndex < 1) {
+    return null;
+  }
+
+  return {
+    template: JSON.parse(JSON.stringify(blocks[firstIndex])),
+    afterUuid: blocks[firstIndex - 1].uuid
+  };
+}
+
+// Whether a block is an option of a DROPDOWN or MULTIPLE_CHOICE question
+export function isChoiceOption(block) {
+  return Object.values(CHOICE_OPTION_TYPES).includes(block.type);
+}
@@ -0,0 +1,542 @@
+// Date rule helpers for managed date fields
+// All dates handled here are "wall clock" dates in the config timezone (see tzNow in
+// updateFormDateLimits), so only the local Date getters/setters are used.
+
+// Units a field's minDays/maxDays offsets can be counted in
+export const OFFSET_UNITS = ['calendar', 'business', 'months', 'years'];
+
+const UNIT_LABELS = {
+  calendar: 'days',
+  business: 'business days',
+  months: 'months',
+  years: 'years'
+};
+
+// Sunday and Saturday
+export const DEFAULT_WEEKEND_DAYS = [0, 6];
+
+// Named calendar anchors a boundary can snap to before its offset is applied
+export const ANCHOR_TYPES = [
+  'startOfWeek',
+  'endOfWeek',
+  'startOfMonth',
+  'endOfMonth',
+  'startOfQuarter',
+  'endOfQuarter',
+  'nextWeekday'
+];
+
+// Monday
+const DEFAULT_WEEK_START = 1;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_DAY_PATTERN = /^\d{2}-\d{2}$/;
+
+// Field config keys for each boundary:
+// - offset: days, months or years (see "unit") from today (or from the "from" date / anchor)
+// - from: absolute date the offset is counted from instead of today
+// - anchor: calendar anchor such as { type: 'endOfMonth', periods: 1 } (end of next month)
+//   or { type: 'nextWeekday', weekday: 0 } (the coming Sunday), applied before the offset
+// - clamp: hard limit - min is never earlier, max never later than this date
+// A field with "baseField" (the UUID of another date field in the same config) counts
+// its offsets from that field's earliest date (min) and latest date (max) instead of today.
+const BOUNDARY_KEYS = {
+  min: { offset: 'minDays', from: 'minFromDate', anchor: 'minAnchor', clamp: 'minClampDate' },
+  max: { offset: 'maxDays', from: 'maxFromDate', anchor: 'maxAnchor', clamp: 'maxClampDate' }
+};
+
+// Validate the rule settings of a single field config, returning an error message or null
+export function validateFieldRules(fieldConfig) {
+  for (const keys of Object.values(BOUNDARY_KEYS)) {
+    if (isSet(fieldConfig[keys.offset]) && !Number.isInteger(fieldConfig[keys.offset])) {
+      return `${keys.offset} must be a whole number`;
+    }
+
+    for (const key of [keys.from, keys.clamp]) {
+      if (isSet(fieldConfig[key]) && !isValidDateString(fieldConfig[key])) {
+        return `${key} must be a YYYY-MM-DD date`;
+      }
+    }
+
+    if (isSet(fieldConfig[keys.anchor])) {
+      const error = validateAnchor(fieldConfig[keys.anchor]);
+      if (error) {
+        return `${keys.anchor}: ${error}`;
+      }
+    }
+  }
+
+  if (isSet(fieldConfig.weekStartsOn) && ![0, 1].includes(fieldConfig.weekStartsOn)) {
+    return 'weekStartsOn must be 0 (Sunday) or 1 (Monday)';
+  }
+
+  if (isSet(fieldConfig.weekdayOffsets)) {
+    const error = validateWeekdayOffsets(fieldConfig.weekdayOffsets);
+    if (error) {
+      return error;
+    }
+  }
+
+  if (isSet(fieldConfig.cutoffHour) && !(Number.isInteger(fieldConfig.cutoffHour) && fieldConfig.cutoffHour >= 0 && fieldConfig.cutoffHour <= 23)) {
+    return 'cutoffHour must be an hour from 0 to 23';
+  }
+
+  if (isSet(fieldConfig.unit) && !OFFSET_UNITS.includes(fieldConfig.unit)) {
+    return `Unknown offset unit "${fieldConfig.unit}"`;
+  }
+
+  if (isSet(fieldConfig.baseField)) {
+    if (typeof fieldConfig.baseField !== 'string') {
+      return 'baseField must be the UUID of another date field';
+    }
+
+    if (isSet(fieldConfig.minFromDate) || isSet(fieldConfig.maxFromDate)) {
+      return 'A field linked to another field (baseField) can\'t also count from a fixed date';
+    }
+  }
+
+  if (isSet(fieldConfig.weekendDays)) {
+    const weekendDays = fieldConfig.weekendDays;
+
+    if (!Array.isArray(weekendDays) || !weekendDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return 'Weekend days must be a list of weekday numbers (0 = Sunday to 6 = Saturday)';
+    }
+
+    if (new Set(weekendDays).size >= 7) {
+      return 'At least one day of the week must be a business day';
+    }
+  }
+
+  return null;
+}
+
+// Validate the links between the date fields of one config ({ uuid: fieldConfig }):
+// every baseField must be another date field of the config, without cycles.
+// Returns an error message or null.
+export function validateFieldLinks(fields) {
+  for (const [uuid, fieldConfig] of Object.entries(fields)) {
+    const baseField = fieldConfig?.baseField;
+    if (!isSet(baseField)) {
+      continue;
+    }
+
+    const base = fields[baseField];
+    if (baseField === uuid || !base || isSet(base.type)) {
+      return `Field ${uuid} must be linked to another date field of this form`;
+    }
+  }
+
+  if (!orderLinkedFields(fields)) {
+    return 'Linked date fields can\'t depend on each other in a cycle';
+  }
+
+  return null;
+}
+
+// Order the UUIDs of a config's fields so every linked field comes after the field
+// it's based on. Returns null when the links form a cycle.
+export function orderLinkedFields(fields) {
+  const order = [];
+  const state = {};
+
+  const visit = uuid => {
+    if (state[uuid] === 'done') {
+      return true;
+    }
+    if (state[uuid] === 'visiting') {
+      return false;
+    }
+
+    state[uuid] = 'visiting';
+    const baseField = fields[uuid]?.baseField;
+    if (isSet(baseField) && fields[baseField] && !visit(baseField)) {
+      return false;
+    }
+
+    state[uuid] = 'done';
+    order.push(uuid);
+    return true;
+  };
+
+  for (const uuid of Object.keys(fields)) {
+    if (!visit(uuid)) {
+      return null;
+    }
+  }
+
+  return order;
+}
+
+// Validate a seasonal rule set ({ name, activeFrom, activeUntil, fields }) without
+// its fields, returning an error message or null. Range dates are either
+// YYYY-MM-DD for a one-off season or MM-DD for one that repeats every year.
+export function validateRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet !== 'object') {
+    return 'Rule sets must be objects';
+  }
+
+  if (typeof ruleSet.name !== 'string' || ruleSet.name.trim() === '') {
+    return 'Rule sets need a name';
+  }
+
+  for (const key of ['activeFrom', 'activeUntil']) {
+    if (isSet(ruleSet[key]) && !isValidDateString(ruleSet[key]) && !isValidMonthDay(ruleSet[key])) {
+      return `Rule set "${ruleSet.name}": ${key} must be a YYYY-MM-DD or MM-DD date`;
+    }
+  }
+
+  if (isSet(ruleSet.activeFrom) && isSet(ruleSet.activeUntil) && ruleSet.activeFrom.length !== ruleSet.activeUntil.length) {
+    return `Rule set "${ruleSet.name}": activeFrom and activeUntil must both be YYYY-MM-DD or both MM-DD`;
+  }
+
+  return null;
+}
+
+// Find the first rule set whose date range (inclusive) contains today, or null.
+// Yearly MM-DD ranges may wrap around the new year (e.g. 09-01 to 05-31).
+export function findActiveRuleSet(ruleSets, now) {
+  const today = formatDate(now);
+  const monthDay = today.substring(5);
+
+  return ruleSets.find(ruleSet => {
+    const from = ruleSet.activeFrom || null;
+    const until = ruleSet.activeUntil || null;
+    const yearly = (from || until || '').length === 5;
+    const value = yearly ? monthDay : today;
+
+    if (yearly && from && until && from > until) {
+      return value >= from || value <= until;
+    }
+
+    return (!from || value >= from) && (!until || value <= until);
+  }) || null;
+}
+
+// Whether a field config defines at least one boundary, on any day of the week
+export function hasDateLimits(fieldConfig) {
+  return hasBoundary(fieldConfig, 'min')
+    || hasBoundary(fieldConfig, 'max')
+    || Object.values(fieldConfig.weekdayOffsets || {}).some(row => isSet(row?.minDays) || isSet(row?.maxDays));
+}
+
+// Current wall clock time in a timezone, as a Date whose local getters return the
+// timezone's year, month, day and hour (the worker itself runs in UTC)
+export function getZonedNow(timezone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(now).map(part => [part.type, parseInt(part.value)])
+  );
+
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Calculate the earliest and latest selectable dates for a field.
+// Either date is null when that boundary isn't configured.
+// "now" is the wall clock time in the config timezone; from the field's cutoff hour
+// on, today no longer counts and the earliest date is counted from the next day.
+// "context.isHoliday" tells whether a date is on the config's holiday calendar.
+// "weekdayOffsets" rows for today's weekday override the field's minDays/maxDays.
+// "context.baseLimits" holds the { minDate, maxDate } of the field's baseField, if linked;
+// linked fields count from those dates, so the cutoff hour doesn't apply to them.
+export function computeFieldLimits(now, fieldConfig, context = {}) {
+  fieldConfig = resolveWeekdayOffsets(fieldConfig, now);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const pastCutoff = isSet(fieldConfig.cutoffHour) && !isSet(fieldConfig.baseField) && now.getHours() >= fieldConfig.cutoffHour;
+
+  return {
+    minDate: computeBoundary(today, fieldConfig, 'min', context, pastCutoff),
+    maxDate: computeBoundary(today, fieldConfig, 'max', context, false)
+  };
+}
+
+// Describe a boundary rule for log messages, e.g. "3 business days from today, not before 2026-05-01".
+// Pass "now" to describe the offsets that apply on that day of the week.
+export function describeBoundary(fieldConfig, edge, now = null) {
+  if (now) {
+    fieldConfig = resolveWeekdayOffsets(fieldConfig, now);
+  }
+
+  const keys = BOUNDARY_KEYS[edge];
+  const parts = [];
+
+  if (hasRelativeDate(fieldConfig, keys)) {
+    const unitLabel = UNIT_LABELS[fieldConfig.unit] || UNIT_LABELS.calendar;
+    const base = isSet(fieldConfig.baseField)
+      ? `the ${edge === 'min' ? 'earliest' : 'latest'} date of field ${fieldConfig.baseField.substring(0, 8)}`
+      : fieldConfig[keys.from] || 'today';
+    const anchor = fieldConfig[keys.anchor];
+    const from = anchor ? `${describeAnchor(anchor)} of ${base}` : base;
+    parts.push(`${fieldConfig[keys.offset] ?? 0} ${unitLabel} from ${from}`);
+  }
+
+  if (edge === 'min' && isSet(fieldConfig.cutoffHour) && !isSet(fieldConfig[keys.from]) && !isSet(fieldConfig.baseField)) {
+    parts.push(`from the next day after ${fieldConfig.cutoffHour}:00`);
+  }
+
+  if (isSet(fieldConfig[keys.clamp])) {
+    parts.push(`${edge === 'min' ? 'not before' : 'not after'} ${fieldConfig[keys.clamp]}`);
+  }
+
+  return parts.join(', ');
+}
+
+// Format a date as YYYY-MM-DD, the format Tally uses for afterDate/beforeDate
+export function formatDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Parse a YYYY-MM-DD string into a wall clock date
+export function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+export function isValidDateString(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = parseDate(value);
+  return formatDate(date) === value;
+}
+
+function isValidMonthDay(value) {
+  if (typeof value !== 'string' || !MONTH_DAY_PATTERN.test(value)) {
+    return false;
+  }
+  // 2000 is a leap year, so 02-29 is accepted
+  return isValidDateString(`2000-${value}`);
+}
+
+function isSet(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+function hasRelativeDate(fieldConfig, keys) {
+  return isSet(fieldConfig[keys.offset]) || isSet(fieldConfig[keys.from]) || isSet(fieldConfig[keys.anchor])
+    || isSet(fieldConfig.baseField);
+}
+
+function hasBoundary(fieldConfig, edge) {
+  const keys = BOUNDARY_KEYS[edge];
+  return hasRelativeDate(fieldConfig, keys) || isSet(fieldConfig[keys.clamp]);
+}
+
+// weekdayOffsets looks like { "5": { minDays: 3, maxDays: 30 } } with weekday
+// numbers as keys (0 = Sunday); a blank value keeps the field's default offset
+function validateWeekdayOffsets(weekdayOffsets) {
+  if (typeof weekdayOffsets !== 'object' || Array.isArray(weekdayOffsets)) {
+    return 'weekdayOffsets must be an object keyed by weekday number';
+  }
+
+  for (const [weekday, row] of Object.entries(weekdayOffsets)) {
+    if (!/^[0-6]$/.test(weekday)) {
+      return `Invalid weekday "${weekday}" in weekdayOffsets (0 = Sunday to 6 = Saturday)`;
+    }
+
+    for (const key of ['minDays', 'maxDays']) {
+      if (isSet(row?.[key]) && !Number.isInteger(row[key])) {
+        return `weekdayOffsets ${weekday}: ${key} must be a whole number`;
+      }
+    }
+  }
+
+  return null;
+}
+
+function resolveWeekdayOffsets(fieldConfig, now) {
+  const row = fieldConfig.weekdayOffsets?.[now.getDay()];
+  if (!row) {
+    return fieldConfig;
+  }
+
+  return {
+    ...fieldConfig,
+    minDays: isSet(row.minDays) ? row.minDays : fieldConfig.minDays,
+    maxDays: isSet(row.maxDays) ? row.maxDays : fieldConfig.maxDays
+  };
+}
+
+function validateAnchor(anchor) {
+  if (typeof anchor !== 'object' || !ANCHOR_TYPES.includes(anchor.type)) {
+    return `type must be one of ${ANCHOR_TYPES.join(', ')}`;
+  }
+
+  if (isSet(anchor.periods) && !Number.isInteger(anchor.periods)) {
+    return 'periods must be a whole number';
+  }
+
+  if (anchor.type === 'nextWeekday' && !(Number.isInteger(anchor.weekday) && anchor.weekday >= 0 && anchor.weekday <= 6)) {
+    return 'weekday must be a weekday number (0 = Sunday to 6 = Saturday)';
+  }
+
+  return null;
+}
+
+// e.g. "endOfMonth+1", "nextWeekday(0)"
+function describeAnchor(anchor) {
+  const name = anchor.type === 'nextWeekday' ? `nextWeekday(${anchor.weekday})` : anchor.type;
+  const periods = anchor.periods || 0;
+  return periods === 0 ? name : `${name}${periods > 0 ? '+' : ''}${periods}`;
+}
+
+// Snap a date to a calendar anchor. "periods" moves the anchor by whole
+// weeks, months or quarters, so { type: 'startOfMonth', periods: 1 } is the
+// first day of next month. nextWeekday is the given weekday on or after the date.
+function applyAnchor(date, anchor, weekStartsOn) {
+  const periods = anchor.periods || 0;
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  const quarterMonth = Math.floor(month / 3) * 3;
+  const weekStart = date.getDate() - ((date.getDay() - weekStartsOn + 7) % 7) + periods * 7;
+
+  switch (anchor.type) {
+    case 'startOfWeek':
+      return new Date(year, month, weekStart);
+    case 'endOfWeek':
+      return new Date(year, month, weekStart + 6);
+    case 'startOfMonth':
+      return new Date(year, month + periods, 1);
+    case 'endOfMonth':
+      return new Date(year, month + periods + 1, 0);
+    case 'startOfQuarter':
+      return new Date(year, quarterMonth + periods * 3, 1);
+    case 'endOfQuarter':
+      return new Date(year, quarterMonth + periods * 3 + 3, 0);
+    case 'nextWeekday':
+      return new Date(year, month, date.getDate() + ((anchor.weekday - date.getDay() + 7) % 7) + periods * 7);
+    default:
+      return new Date(date);
+  }
+}
+
+// A boundary is the offset counted from today (or the "from" date, or the base field's
+// boundary for linked fields), snapped to the
+// calendar anchor first if there is one, then limited by the clamp date. A boundary
+// that lands on a closed day (a holiday, or a weekend day for business-day fields)
+// rolls forward for min and back for max. "skipToday" counts from the next day
+// instead of today (the next open day for business-day fields).
+function computeBoundary(today, fieldConfig, edge, context, skipToday) {
+  if (!hasBoundary(fieldConfig, edge)) {
+    return null;
+  }
+
+  const keys = BOUNDARY_KEYS[edge];
+  const step = edge === 'max' ? -1 : 1;
+  const isClosed = closedDayChecker(fieldConfig, context);
+  let date = null;
+
+  if (hasRelativeDate(fieldConfig, keys)) {
+    let base = today;
+    if (isSet(fieldConfig.baseField)) {
+      base = context.baseLimits?.[edge === 'min' ? 'minDate' : 'maxDate'] || null;
+    } else if (isSet(fieldConfig[keys.from])) {
+      base = parseDate(fieldConfig[keys.from]);
+    } else if (skipToday) {
+      base = addCalendarDays(today, 1);
+      if (fieldConfig.unit === 'business') {
+        base = rollToOpenDay(base, 1, isClosed);
+      }
+    }
+
+    if (base && isSet(fieldConfig[keys.anchor])) {
+      base = applyAnchor(base, fieldConfig[keys.anchor], fieldConfig.weekStartsOn ?? DEFAULT_WEEK_START);
+    }
+
+    const offset = fieldConfig[keys.offset] ?? 0;
+
+    // A linked field has no boundary where its base field has none
+    date = base ? addOffset(base, offset, fieldConfig.unit, isClosed) : null;
+  }
+
+  if (isSet(fieldConfig[keys.clamp])) {
+    const clampDate = parseDate(fieldConfig[keys.clamp]);
+    if (!date || (edge === 'min' ? date < clampDate : date > clampDate)) {
+      date = clampDate;
+    }
+  }
+
+  return date ? rollToOpenDay(date, step, isClosed) : null;
+}
+
+function closedDayChecker(fieldConfig, context) {
+  const isHoliday = context.isHoliday || (() => false);
+
+  if (fieldConfig.unit === 'business') {
+    const weekendDays = fieldConfig.weekendDays || DEFAULT_WEEKEND_DAYS;
+    return date => weekendDays.includes(date.getDay()) || isHoliday(date);
+  }
+
+  return isHoliday;
+}
+
+function addOffset(date, offset, unit, isClosed) {
+  switch (unit) {
+    case 'business':
+      return addBusinessDays(date, offset, isClosed);
+    case 'months':
+      return addMonths(date, offset);
+    case 'years':
+      return addMonths(date, offset * 12);
+    default:
+      return addCalendarDays(date, offset);
+  }
+}
+
+function addCalendarDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Step one day at a time so only open days count towards the offset
+function addBusinessDays(date, days, isClosed) {
+  const result = new Date(date);
+  const step = days < 0 ? -1 : 1;
+  let remaining = Math.abs(days);
+
+  while (remaining > 0) {
+    result.setDate(result.getDate() + step);
+    if (!isClosed(result)) {
+      remaining--;
+    }
+  }
+
+  return result;
+}
+
+// Calendar months with end-of-month clamping: Jan 31 + 1 month = Feb 28 (or 29),
+// and Feb 29 + 12 months = Feb 28 in a non-leap year
+function addMonths(date, months) {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), daysInMonth));
+  return target;
+}
+
+function rollToOpenDay(date, step, isClosed) {
+  const result = new Date(date);
+  while (isClosed(result)) {
+    result.setDate(result.getDate() + step);
+  }
+  return result;
+}
@@ -0,0 +1,98 @@
+// Outbound webhooks that tell other systems what the worker did to a form
+// Webhooks are registered for one form (webhooks:form:{hash(formId)}) or for every form
+// of an account (webhooks:account:{hash(apiKey)}), as [{ id, url, secret, events }].
+// Each event is POSTed as JSON, signed with the webhook's secret in the
+// X-TallyForms-Signature header ("sha256=" + hex HMAC-SHA256 of the body).
+
+// Events a webhook can subscribe to
+export const EVENT_TYPES = ['form.updated', 'form.update_failed', 'config.saved', 'config.disabled'];
+
+// Most webhooks per form or account
+export const MAX_EVENT_WEBHOOKS = 5;
+
+// Hours to wait before each retry of a failed delivery - retries run with the hourly cron
+export const RETRY_DELAYS_HOURS = [1, 2, 4, 8, 16];
+
+// How long a single delivery may take (ms)
+const DELIVERY_TIMEOUT = 10000;
+
+// Validate a webhook registration, returning an error message or null
+export function validateEventWebhook({ url, events }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be a valid URL';
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return 'url must use https';
+  }
+
+  const validEvents = Array.isArray(events)
+    && events.length > 0
+    && events.every(event => EVENT_TYPES.includes(event));
+  if (!validEvents) {
+    return `events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Build the JSON body of an event
+export function createEvent(type, formId, data) {
+  return JSON.stringify({
+    id: crypto.randomUUID(),
+    type,
+    formId,
+    createdAt: new Date().toISOString(),
+    data
+  });
+}
+
+// POST an event body to a webhook, returning whether it was accepted (any 2xx response)
+export async function deliverEvent(webhook, body) {
+  const { id, type } = JSON.parse(body);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-TallyForms-Event': type,
+        'X-TallyForms-Delivery': id,
+        'X-TallyForms-Signature': `sha256=${await signEventBody(body, webhook.secret)}`
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      console.warn(`Event ${type} to ${webhook.url} failed with ${response.status}`);
+    }
+    return response.ok;
+  } catch (error) {
+    console.warn(`Event ${type} to ${webhook.url} failed:`, error.message);
+    return false;
+  }
+}
+
+// When to retry a delivery after "attempt" failed attempts, or null when it should be dropped
+export function nextRetryAt(attempt, now = Date.now()) {
+  const delay = RETRY_DELAYS_HOURS[attempt - 1];
+  return delay === undefined ? null : now + delay * 60 * 60 * 1000;
+}
+
+async function signEventBody(body, secret) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+
+  return Array.from(signature).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,297 @@
+// Holiday calendars used to keep date boundaries off closed days
+// A holiday list is stored in KV as { id, name, presets, dates } where "dates" are
+// explicit YYYY-MM-DD days (entered by hand or imported from an ICS file) and
+// "presets" are country codes whose holidays are computed for any year on demand.
+
+import { formatDate, isValidDateString } from './date-rules.js';
+
+// How many years ahead yearly recurring ICS events are expanded
+const ICS_RECURRENCE_YEARS = 10;
+
+// Longest multi-day ICS event we expand, in days
+const ICS_MAX_EVENT_DAYS = 366;
+
+// Most occurrences of a recurring ICS event we expand, whatever its RRULE says
+const ICS_MAX_RECURRENCES = 1000;
+
+// Bundled country presets
+export const HOLIDAY_PRESETS = {
+  US: {
+    name: 'United States (federal)',
+    holidays: year => [
+      observedUS(new Date(year, 0, 1)),
+      nthWeekday(year, 0, 1, 3),
+      nthWeekday(year, 1, 1, 3),
+      lastWeekday(year, 4, 1),
+      ...(year >= 2021 ? [observedUS(new Date(year, 5, 19))] : []),
+      observedUS(new Date(year, 6, 4)),
+      nthWeekday(year, 8, 1, 1),
+      nthWeekday(year, 9, 1, 2),
+      observedUS(new Date(year, 10, 11)),
+      nthWeekday(year, 10, 4, 4),
+      observedUS(new Date(year, 11, 25))
+    ]
+  },
+  GB: {
+    name: 'United Kingdom (England & Wales)',
+    holidays: year => [
+      ...substituteWeekends([new Date(year, 0, 1)]),
+      easterOffset(year, -2),
+      easterOffset(year, 1),
+      nthWeekday(year, 4, 1, 1),
+      lastWeekday(year, 4, 1),
+      lastWeekday(year, 7, 1),
+      ...substituteWeekends([new Date(year, 11, 25), new Date(year, 11, 26)])
+    ]
+  },
+  DE: {
+    name: 'Germany (national)',
+    holidays: year => [
+      new Date(year, 0, 1),
+      easterOffset(year, -2),
+      easterOffset(year, 1),
+      new Date(year, 4, 1),
+      easterOffset(year, 39),
+      easterOffset(year, 50),
+      new Date(year, 9, 3),
+      new Date(year, 11, 25),
+      new Date(year, 11, 26)
+    ]
+  },
+  FR: {
+    name: 'France',
+    holidays: year => [
+      new Date(year, 0, 1),
+      easterOffset(year, 1),
+      new Date(year, 4, 1),
+      new Date(year, 4, 8),
+      easterOffset(year, 39),
+      easterOffset(year, 50),
+      new Date(year, 6, 14),
+      new Date(year, 7, 15),
+      new Date(year, 10, 1),
+      new Date(year, 10, 11),
+      new Date(year, 11, 25)
+    ]
+  }
+};
+
+// Build a function that tells whether a date is a holiday in the given list
+export function createHolidayChecker(holidayList) {
+  if (!holidayList) {
+    return () => false;
+  }
+
+  const dates = new Set(holidayList.dates || []);
+  const presets = holidayList.presets || [];
+  const presetDatesByYear = new Map();
+
+  const presetDates = year => {
+    if (!presetDatesByYear.has(year)) {
+      const yearDates = presets.flatMap(code => HOLIDAY_PRESETS[code]?.holidays(year) || []);
+      presetDatesByYear.set(year, new Set(yearDates.map(formatDate)));
+    }
+    return presetDatesByYear.get(year);
+  };
+
+  return date => {
+    const key = formatDate(date);
+    if (dates.has(key)) {
+      return true;
+    }
+
+    // Observed days can spill into the previous year (e.g. New Year's Day on a Saturday)
+    const year = date.getFullYear();
+    return presetDates(year).has(key) || presetDates(year + 1).has(key);
+  };
+}
+
+// Validate a list of holiday dates, returning an error message or null
+export function validateHolidayDates(dates) {
+  if (!Array.isArray(dates)) {
+    return 'Holiday dates must be a list of YYYY-MM-DD dates';
+  }
+
+  const invalid = dates.find(date => !isValidDateString(date));
+  if (invalid !== undefined) {
+    return `Invalid holiday date "${invalid}" (expected YYYY-MM-DD)`;
+  }
+
+  return null;
+}
+
+// Validate a list of preset codes, returning an error message or null
+export function validateHolidayPresets(presets) {
+  if (!Array.isArray(presets)) {
+    return 'Holiday presets must be a list of country codes';
+  }
+
+  const unknown = presets.find(code => !HOLIDAY_PRESETS[code]);
+  if (unknown !== undefined) {
+    return `Unknown holiday preset "${unknown}"`;
+  }
+
+  return null;
+}
+
+// Extract all-day dates from an ICS calendar.
+// Multi-day events are expanded day by day and simple yearly recurrences
+// (RRULE:FREQ=YEARLY) are expanded ICS_RECURRENCE_YEARS ahead; other
+// recurrence rules only contribute their first occurrence.
+export function parseIcsDates(icsText) {
+  const lines = icsText.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const dates = new Set();
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event?.start) {
+        expandIcsEvent(event).forEach(date => dates.add(date));
+      }
+      event = null;
+      continue;
+    }
+
+    if (!event) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const name = line.substring(0, separator).split(';')[0].toUpperCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (name === 'DTSTART') {
+      event.start = parseIcsDate(value);
+    } else if (name === 'DTEND') {
+      event.end = parseIcsDate(value);
+    } else if (name === 'RRULE') {
+      event.rrule = Object.fromEntries(value.split(';').map(part => part.split('=')));
+    }
+  }
+
+  return Array.from(dates).sort();
+}
+
+function expandIcsEvent(event) {
+  // DTEND is exclusive for all-day events
+  const days = [];
+  const day = new Date(event.start);
+  do {
+    days.push(new Date(day));
+    day.setDate(day.getDate() + 1);
+  } while (event.end && day < event.end && days.length < ICS_MAX_EVENT_DAYS);
+
+  if (event.rrule?.FREQ !== 'YEARLY' || Object.keys(event.rrule).some(key => key.startsWith('BY'))) {
+    return days.map(formatDate);
+  }
+
+  // INTERVAL and COUNT must be whole numbers of at least 1 - an event with an invalid
+  // one only contributes its first occurrence
+  const interval = event.rrule.INTERVAL === undefined ? 1 : parsePositiveInteger(event.rrule.INTERVAL);
+  const count = event.rrule.COUNT === undefined ? ICS_MAX_RECURRENCES : parsePositiveInteger(event.rrule.COUNT);
+  if (!interval || !count) {
+    return days.map(formatDate);
+  }
+
+  const until = event.rrule.UNTIL ? parseIcsDate(event.rrule.UNTIL) : null;
+  const lastYear = new Date().getFullYear() + ICS_RECURRENCE_YEARS;
+  const dates = [];
+
+  for (let i = 0; i < Math.min(count, ICS_MAX_RECURRENCES); i++) {
+    const yearOffset = i * interval;
+    if (event.start.getFullYear() + yearOffset > lastYear) {
+      break;
+    }
+
+    const occurrence = days.map(date => new Date(date.getFullYear() + yearOffset, date.getMonth(), date.getDate()));
+    if (until && occurrence[0] > until) {
+      break;
+    }
+
+    dates.push(...occurrence.map(formatDate));
+  }
+
+  return dates;
+}
+
+function parsePositiveInteger(value) {
+  return /^\d+$/.test(value) && parseInt(value) >= 1 ? parseInt(value) : null;
+}
+
+// ICS dates look like 20261225 or 20261225T090000Z - only the date part is used
+function parseIcsDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) {
+    return null;
+  }
+  return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+}
+
+// Easter Sunday (anonymous Gregorian algorithm) shifted by a number of days
+function easterOffset(year, days) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day + days);
+}
+
+// The nth given weekday of a month (e.g. 3rd Monday of January)
+function nthWeekday(year, month, weekday, n) {
+  const first = new Date(year, month, 1);
+  const offset = (weekday - first.getDay() + 7) % 7;
+  return new Date(year, month, 1 + offset + (n - 1) * 7);
+}
+
+// The last given weekday of a month (e.g. last Monday of May)
+function lastWeekday(year, month, weekday) {
+  const last = new Date(year, month + 1, 0);
+  const offset = (last.getDay() - weekday + 7) % 7;
+  return new Date(year, month, last.getDate() - offset);
+}
+
+// US federal rule: Saturday holidays are observed on Friday, Sunday ones on Monday
+function observedUS(date) {
+  if (date.getDay() === 6) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  }
+  if (date.getDay() === 0) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  }
+  return date;
+}
+
+// UK rule: weekend holidays get a substitute on the next weekday that isn't already a holiday
+function substituteWeekends(dates) {
+  const isWeekend = date => date.getDay() === 0 || date.getDay() === 6;
+  const result = dates.filter(date => !isWeekend(date));
+
+  dates.filter(isWeekend).forEach(date => {
+    const substitute = new Date(date);
+    do {
+      substitute.setDate(substitute.getDate() + 1);
+    } while (isWeekend(substitute) || result.some(taken => taken.getTime() === substitute.getTime()));
+    result.push(substitute);
+  });
+
+  return result;
+}
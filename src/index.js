@@ -1,15 +1,95 @@
 import { CACHE_VERSION } from '../cache_version.js';
-
-const TALLY_API_BASE = 'https://api.tally.so';
+import {
+  validateFieldRules,
+  hasDateLimits,
+  computeFieldLimits,
+  describeBoundary,
+  formatDate,
+  getZonedNow,
+  isValidTimezone,
+  validateRuleSet,
+  findActiveRuleSet,
+  isValidDateString,
+  parseDate,
+  validateFieldLinks,
+  orderLinkedFields
+} from './date-rules.js';
+import {
+  HOLIDAY_PRESETS,
+  createHolidayChecker,
+  parseIcsDates,
+  validateHolidayDates,
+  validateHolidayPresets
+} from './holidays.js';
+import { validateSchedule, getScheduledState } from './schedules.js';
+import { applyTemplates } from './templates.js';
+import {
+  CHOICE_OPTION_TYPES,
+  validateChoiceRules,
+  generateChoiceOptions,
+  replaceChoiceOptions,
+  choiceOptionTemplate,
+  isChoiceOption
+} from './choices.js';
+import { validateNumberRules, hasNumberLimits, computeNumberLimits } from './number-rules.js';
+import { encryptApiKey, decryptApiKey, needsReencryption } from './api-keys.js';
+import { snapshotLimits, recordOriginalLimits, restoreOriginalLimits } from './originals.js';
+import { addSnapshot, describeSnapshot, compareBlocks } from './snapshots.js';
+import { createRunEntry, addRunEntry } from './run-history.js';
+import { tallyRequest, tallyErrorStatus } from './tally-api.js';
+import {
+  MAX_EVENT_WEBHOOKS,
+  validateEventWebhook,
+  createEvent,
+  deliverEvent,
+  nextRetryAt
+} from './event-webhooks.js';
+import {
+  SESSION_TTL,
+  generateSessionId,
+  createSessionToken,
+  readSessionId,
+  hasSessionCookie,
+  sessionCookie
+} from './sessions.js';
+import {
+  validateCapacity,
+  generateWebhookSecret,
+  verifyTallySignature,
+  findCapacityAnswers,
+  isDateFull,
+  skipFullDates
+} from './capacity.js';
+
+// Largest ICS upload accepted for a holiday calendar (characters)
+const MAX_ICS_LENGTH = 1024 * 1024;
+
+// What to do once a form's submission cap is reached
+const SUBMISSION_CAP_ACTIONS = ['collapse', 'close'];
+
+// Path of the Tally webhook receiver, followed by the config ID (hash of the form ID)
+const TALLY_WEBHOOK_PATH = '/api/webhooks/tally/';
+
+const NOT_SIGNED_IN_ERROR = 'Not signed in - connect your Tally account first';
+
+// Consecutive failed updates of a form before a form.update_failed event is sent
+const FAILURE_EVENT_THRESHOLD = 3;
+
+// How long a config without managed fields is kept (seconds)
+const DISABLED_CONFIG_TTL = 259200; // 3 days
+
+// Durable Object classes must be exported by the worker's main module
+export { CapacityCounter } from './capacity-counter.js';
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
+    env = withWaitUntil(env, ctx);
     const url = new URL(request.url);
 
     // CORS headers for API requests
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type',
     };
 
@@ -19,6 +99,10 @@ export default {
 
     try {
       // API endpoints
+      if (url.pathname === '/api/session') {
+        return await handleSession(request, env, corsHeaders);
+      }
+
       if (url.pathname === '/api/forms') {
         return await handleGetForms(request, env, corsHeaders);
       }
@@ -31,6 +115,67 @@ export default {
         return await handleSaveConfig(request, env, corsHeaders);
       }
 
+      if (url.pathname === '/api/preview-config') {
+        return await handlePreviewConfig(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/configs') {
+        return await handleListConfigs(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/delete-config') {
+        return await handleDeleteConfig(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/run-history') {
+        return await handleGetRunHistory(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/snapshots') {
+        return await handleListSnapshots(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/compare-snapshot') {
+        return await handleSnapshot(request, env, corsHeaders, false);
+      }
+
+      if (url.pathname === '/api/restore-snapshot') {
+        return await handleSnapshot(request, env, corsHeaders, true);
+      }
+
+      if (url.pathname === '/api/save-schedule') {
+        return await handleSaveSchedule(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/adjust-capacity') {
+        return await handleAdjustCapacity(request, env, corsHeaders);
+      }
+
+      if (url.pathname.startsWith(TALLY_WEBHOOK_PATH) && request.method === 'POST') {
+        const configId = url.pathname.substring(TALLY_WEBHOOK_PATH.length);
+        return await handleTallyWebhook(request, env, corsHeaders, configId);
+      }
+
+      if (url.pathname === '/api/event-webhooks') {
+        return await handleGetEventWebhooks(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/save-event-webhook') {
+        return await handleSaveEventWebhook(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/delete-event-webhook') {
+        return await handleDeleteEventWebhook(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/holiday-lists') {
+        return await handleGetHolidayLists(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/save-holiday-list') {
+        return await handleSaveHolidayList(request, env, corsHeaders);
+      }
+
       // Trigger cron manually (for testing) - DISABLED
       // if (url.pathname === '/api/trigger-cron' && request.method === 'POST') {
       //   try {
@@ -43,15 +188,15 @@ export default {
 
       // Serve static files
       if (url.pathname === '/' || url.pathname === '/index.html') {
-        return serveFile('index.html', 'text/html', env);
+        return serveFile(request, env);
       }
 
       if (url.pathname === '/style.css') {
-        return serveFile('style.css', 'text/css', env);
+        return serveFile(request, env);
       }
 
       if (url.pathname === '/script.js') {
-        return serveFile('script.js', 'application/javascript', env);
+        return serveFile(request, env);
       }
 
       if (url.pathname === '/favicon.ico') {
@@ -75,11 +220,17 @@ export default {
   },
 
   // Cron handler for hourly date updates
-  async scheduled(event, env, _ctx) {
-    await runCronTask(env);
+  async scheduled(event, env, ctx) {
+    await runCronTask(withWaitUntil(env, ctx));
   }
 };
 
+// The bindings plus the invocation's waitUntil, so work that shouldn't hold up a
+// response or a cron run, like event deliveries, can finish in the background
+function withWaitUntil(env, ctx) {
+  return { ...env, waitUntil: promise => ctx.waitUntil(promise) };
+}
+
 // Cron task logic (extracted for manual triggering)
 async function runCronTask(env) {
   console.log('Cron task started:', new Date().toISOString());
@@ -90,22 +241,48 @@ async function runCronTask(env) {
 
     for (const key of list.keys) {
       try {
-        const configData = await env.TALLYFORMS.get(key.name, { type: 'json' });
+        const configData = await getWithDecryptedApiKey(key.name, env, key);
 
         if (!configData || !configData.apiKey || !configData.formId) {
           continue;
         }
 
+        // Configs saved before accounts had a config index are added to it once
+        if (!configData.indexed) {
+          await addToConfigIndex(configData.apiKey, configData.formId, env);
+          configData.indexed = true;
+          await putWithEncryptedApiKey(key.name, configData, env, key.expiration ? { expiration: key.expiration } : {});
+        }
+
+        // Tally asked us to back off - don't count this hour as updated
+        if (configData.retryAt && configData.retryAt > Date.now()) {
+          console.log(`Skipping form ${configData.formId} until ${new Date(configData.retryAt).toISOString()}`);
+          continue;
+        }
+
         // Check if this configuration needs an update based on timezone
         const shouldUpdate = await shouldUpdateNow(configData, env);
 
         if (shouldUpdate) {
           console.log(`Updating form ${configData.formId} in timezone ${configData.timezone}`);
-          await updateFormDateLimits(configData, env);
+
+          // A failed submission count keeps the last known cap state
+          try {
+            await applySubmissionCap(configData, { retry: true });
+          } catch (error) {
+            console.error(`Failed to check submission cap for form ${configData.formId}:`, error);
+          }
+
+          try {
+            await runFormUpdate(configData, env, 'cron');
+            delete configData.retryAt;
+          } catch (error) {
+            await handleUpdateFailure(configData, error, env, 'config');
+          }
 
           // Update last run timestamp
           configData.lastRun = Date.now();
-          await env.TALLYFORMS.put(key.name, JSON.stringify(configData));
+          await putWithEncryptedApiKey(key.name, configData, env);
         }
 
       } catch (error) {
@@ -113,6 +290,9 @@ async function runCronTask(env) {
       }
     }
 
+    await runScheduleTask(env);
+    await runEventRetries(env);
+
     console.log('Cron task completed');
 
   } catch (error) {
@@ -121,14 +301,130 @@ async function runCronTask(env) {
   }
 }
 
+// Apply open/close schedules - a form is only touched when its scheduled state
+// changes, so opening or closing it by hand in Tally sticks until the next event
+async function runScheduleTask(env) {
+  const list = await env.TALLYFORMS.list({ prefix: 'schedule:' });
+
+  for (const key of list.keys) {
+    try {
+      const schedule = await getWithDecryptedApiKey(key.name, env, key);
+
+      if (!schedule || !schedule.apiKey || !schedule.formId || schedule.disabled) {
+        continue;
+      }
+
+      // Tally asked us to back off
+      if (schedule.retryAt && schedule.retryAt > Date.now()) {
+        continue;
+      }
+
+      const scheduledState = getScheduledState(schedule, getZonedNow(schedule.timezone));
+
+      if (scheduledState && scheduledState !== schedule.lastAppliedState) {
+        console.log(`Schedule for form ${schedule.formId} switches it to ${scheduledState}`);
+        try {
+          await updateFormOpenState(schedule, scheduledState, { retry: true });
+          schedule.lastAppliedState = scheduledState;
+          delete schedule.retryAt;
+        } catch (error) {
+          await handleUpdateFailure(schedule, error, env, 'schedule');
+        }
+
+        schedule.lastRun = Date.now();
+        await putWithEncryptedApiKey(key.name, schedule, env);
+      }
+
+    } catch (error) {
+      console.error(`Error processing schedule ${key.name}:`, error);
+    }
+  }
+}
+
+// Handle session requests: POST signs in with an API key, GET tells whether the
+// browser is signed in and DELETE signs out
+async function handleSession(request, env, corsHeaders) {
+  try {
+    const sessionId = await readSessionId(request, env);
+
+    if (request.method === 'GET') {
+      const session = sessionId ? await env.TALLYFORMS.get(`session:${sessionId}`, { type: 'json' }) : null;
+      return jsonResponse({ signedIn: !!session }, 200, corsHeaders);
+    }
+
+    if (request.method === 'DELETE') {
+      if (sessionId) {
+        await env.TALLYFORMS.delete(`session:${sessionId}`);
+      }
+      return jsonResponse({ success: true }, 200, {
+        ...corsHeaders,
+        'Set-Cookie': sessionCookie(null)
+      });
+    }
+
+    if (request.method !== 'POST') {
+      return jsonResponse({ error: 'Method not allowed' }, 405, corsHeaders);
+    }
+
+    const { apiKey } = await request.json();
+
+    if (!apiKey) {
+      return jsonResponse({ error: 'API key is required' }, 400, corsHeaders);
+    }
+
+    // Check the key with Tally once, instead of on every request
+    try {
+      await tallyRequest(apiKey, '/users/me');
+    } catch (error) {
+      if (error.kind === 'unauthorized') {
+        return jsonResponse({ error: 'Tally rejected this API key' }, 401, corsHeaders);
+      }
+      throw error;
+    }
+
+    // Replace any session the browser already has
+    if (sessionId) {
+      await env.TALLYFORMS.delete(`session:${sessionId}`);
+    }
+
+    const newSessionId = generateSessionId();
+    await putWithEncryptedApiKey(`session:${newSessionId}`, { apiKey, createdAt: Date.now() }, env, {
+      expirationTtl: SESSION_TTL
+    });
+
+    return jsonResponse({ success: true }, 200, {
+      ...corsHeaders,
+      'Set-Cookie': sessionCookie(await createSessionToken(newSessionId, env))
+    });
+
+  } catch (error) {
+    console.error('Error in handleSession:', error);
+    return errorResponse(error, corsHeaders);
+  }
+}
+
+// API key of a request: from the session cookie, or from the body for scripts that
+// call the API directly. A request with a session cookie only gets the session's key -
+// a key in its body is ignored, so a browser whose session expired signs in again
+// instead of sending the raw key.
+async function getRequestApiKey(request, body, env) {
+  if (hasSessionCookie(request)) {
+    const sessionId = await readSessionId(request, env);
+    const session = sessionId ? await getWithDecryptedApiKey(`session:${sessionId}`, env) : null;
+    return session?.apiKey || null;
+  }
+
+  return body.apiKey || null;
+}
+
 // Handle GET forms request
 async function handleGetForms(request, env, corsHeaders) {
   try {
     const body = await request.json();
-    const { apiKey } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
     if (!apiKey) {
-      return jsonResponse({ error: 'API key is required' }, 400, corsHeaders);
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
     }
 
     // Check rate limiting
@@ -142,18 +438,7 @@ async function handleGetForms(request, env, corsHeaders) {
     }
 
     // Fetch forms from Tally API
-    const response = await fetch(`${TALLY_API_BASE}/forms`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Accept': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch forms from Tally API');
-    }
-
-    const data = await response.json();
+    const data = await tallyRequest(apiKey, '/forms');
     const forms = data.items || data.data || [];
 
     // Check which forms are already configured
@@ -161,13 +446,16 @@ async function handleGetForms(request, env, corsHeaders) {
       const configKey = `config:${await hashString(form.id)}`;
       const config = await env.TALLYFORMS.get(configKey, { type: 'json' });
       form.configured = !!config;
+
+      const schedule = await env.TALLYFORMS.get(`schedule:${await hashString(form.id)}`, { type: 'json' });
+      form.scheduled = !!schedule;
     }
 
     return jsonResponse({ forms }, 200, corsHeaders);
 
   } catch (error) {
     console.error('Error in handleGetForms:', error);
-    return jsonResponse({ error: error.message }, 500, corsHeaders);
+    return errorResponse(error, corsHeaders);
   }
 }
 
@@ -175,29 +463,24 @@ async function handleGetForms(request, env, corsHeaders) {
 async function handleGetFormFields(request, env, corsHeaders) {
   try {
     const body = await request.json();
-    const { apiKey, formId } = body;
+    const { formId } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
-    if (!apiKey || !formId) {
-      return jsonResponse({ error: 'API key and form ID are required' }, 400, corsHeaders);
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
     }
 
-    // Fetch form details from Tally API
-    const response = await fetch(`${TALLY_API_BASE}/forms/${formId}`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Accept': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch form from Tally API');
+    if (!formId) {
+      return jsonResponse({ error: 'Form ID is required' }, 400, corsHeaders);
     }
 
-    const formData = await response.json();
-    const form = formData.data || formData;
+    // Fetch form details from Tally API
+    const form = await fetchForm(apiKey, formId);
 
-    // Extract date fields from blocks
+    // Extract date fields, number fields and choice questions (for rolling date options) from blocks
     const dateFields = [];
+    const numberFields = [];
+    const choiceFields = [];
     if (form.blocks && Array.isArray(form.blocks)) {
       form.blocks.forEach((block, index) => {
         if (block.type === 'INPUT_DATE') {
@@ -211,22 +494,7 @@ async function handleGetFormFields(request, env, corsHeaders) {
 
           // If no label in the INPUT_DATE block, check the preceding TITLE block
           if (!label && index > 0) {
-            const prevBlock = form.blocks[index - 1];
-            if (prevBlock.type === 'TITLE' || prevBlock.type === 'QUESTION') {
-              // Extract text from safeHTMLSchema which is typically [[["Question text"]]]
-              const htmlSchema = prevBlock.payload?.safeHTMLSchema;
-              if (htmlSchema && Array.isArray(htmlSchema) && htmlSchema.length > 0) {
-                const firstRow = htmlSchema[0];
-                if (Array.isArray(firstRow) && firstRow.length > 0) {
-                  const firstCell = firstRow[0];
-                  if (typeof firstCell === 'string') {
-                    label = firstCell.trim();
-                  } else if (Array.isArray(firstCell) && firstCell.length > 0) {
-                    label = firstCell[0]?.trim();
-                  }
-                }
-              }
-            }
+            label = getQuestionTitle(form.blocks[index - 1]);
           }
 
           // Use label if found, otherwise show UUID
@@ -238,21 +506,140 @@ async function handleGetFormFields(request, env, corsHeaders) {
             type: block.type
           });
         }
+
+        if (block.type === 'INPUT_NUMBER') {
+          const label = block.payload?.label?.trim()
+            || (index > 0 ? getQuestionTitle(form.blocks[index - 1]) : null);
+
+          numberFields.push({
+            uuid: block.uuid,
+            label: label || `Number Field (${block.uuid.substring(0, 8)}...)`,
+            type: block.type,
+            minNumber: block.payload?.hasMinNumber ? block.payload.minNumber : null,
+            maxNumber: block.payload?.hasMaxNumber ? block.payload.maxNumber : null
+          });
+        }
+
+        // The first option of a DROPDOWN or MULTIPLE_CHOICE question stands for the question
+        if (isChoiceOption(block) && block.groupUuid
+          && !choiceFields.some(field => field.uuid === block.groupUuid)) {
+          const label = index > 0 ? getQuestionTitle(form.blocks[index - 1]) : null;
+
+          choiceFields.push({
+            uuid: block.groupUuid,
+            label: label || `Choice Field (${block.groupUuid.substring(0, 8)}...)`,
+            type: block.groupType || Object.keys(CHOICE_OPTION_TYPES).find(type => CHOICE_OPTION_TYPES[type] === block.type),
+            options: form.blocks
+              .filter(option => option.groupUuid === block.groupUuid && isChoiceOption(option))
+              .map(option => option.payload?.text || '')
+          });
+        }
       });
     }
 
     // Load existing configuration if available
-    const configKey = `config:${await hashString(formId)}`;
-    const configuration = await env.TALLYFORMS.get(configKey, { type: 'json' });
+    const configId = await hashString(formId);
+    const storedConfiguration = await env.TALLYFORMS.get(`config:${configId}`, { type: 'json' });
+    const storedSchedule = await env.TALLYFORMS.get(`schedule:${configId}`, { type: 'json' });
+
+    // Stored API keys never leave the worker
+    const configuration = storedConfiguration && { ...storedConfiguration, apiKey: undefined };
+    const schedule = storedSchedule && { ...storedSchedule, apiKey: undefined };
+    const capacity = configuration ? await getCapacityCounter(configId, env).read(configId) : null;
 
     return jsonResponse({
       dateFields,
-      configuration
+      numberFields,
+      choiceFields,
+      configuration,
+      schedule,
+      webhookPath: configuration ? `${TALLY_WEBHOOK_PATH}${configId}` : null,
+      capacityCounts: capacity?.counts || {}
     }, 200, corsHeaders);
 
   } catch (error) {
     console.error('Error in handleGetFormFields:', error);
-    return jsonResponse({ error: error.message }, 500, corsHeaders);
+    return errorResponse(error, corsHeaders);
+  }
+}
+
+// Validate the body of a save or preview config request, returning an error message or null
+async function validateConfigRequest(body, apiKey, env) {
+  const { formId, timezone, fields, holidayListId = null, ruleSets = [], submissionCap = null } = body;
+
+  if (!formId || !timezone) {
+    return 'Missing required fields';
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return `Unknown timezone "${timezone}"`;
+  }
+
+  const validationError = validateFields(fields) || validateRuleSets(ruleSets) || validateSubmissionCap(submissionCap);
+  if (validationError) {
+    return validationError;
+  }
+
+  if (holidayListId && !(await loadHolidayList(apiKey, holidayListId, env))) {
+    return 'Holiday calendar not found';
+  }
+
+  return null;
+}
+
+// Handle preview configuration request - run the update for a config as it would be
+// saved, without sending anything to Tally or storing anything, and return what changes
+async function handlePreviewConfig(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { formId, timezone, fields, holidayListId = null, ruleSets = [], submissionCap = null } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
+
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
+
+    const validationError = await validateConfigRequest(body, apiKey, env);
+    if (validationError) {
+      return jsonResponse({ error: validationError }, 400, corsHeaders);
+    }
+
+    const existingConfig = await getWithDecryptedApiKey(`config:${await hashString(formId)}`, env);
+
+    const accessError = await checkFormAccess(apiKey, formId, existingConfig);
+    if (accessError) {
+      return jsonResponse({ error: accessError }, 403, corsHeaders);
+    }
+
+    const config = {
+      apiKey,
+      formId,
+      timezone,
+      fields,
+      ruleSets,
+      holidayListId,
+      submissionCap,
+      capReached: existingConfig?.capReached || false
+    };
+
+    // Work out the cap state without opening or closing the form
+    if (submissionCap) {
+      try {
+        config.capReached = await fetchSubmissionCount(config) >= submissionCap.limit;
+      } catch (error) {
+        console.error(`Failed to check submission cap for form ${formId}:`, error);
+      }
+    } else {
+      config.capReached = false;
+    }
+
+    const preview = await updateFormDateLimits(config, env, { dryRun: true });
+
+    return jsonResponse({ ...preview, capReached: config.capReached }, 200, corsHeaders);
+
+  } catch (error) {
+    console.error('Error in handlePreviewConfig:', error);
+    return errorResponse(error, corsHeaders);
   }
 }
 
@@ -260,16 +647,27 @@ async function handleGetFormFields(request, env, corsHeaders) {
 async function handleSaveConfig(request, env, corsHeaders) {
   try {
     const body = await request.json();
-    const { apiKey, formId, timezone, fields } = body;
+    const { formId, timezone, fields, holidayListId = null, ruleSets = [], submissionCap = null } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
-    if (!apiKey || !formId || !timezone) {
-      return jsonResponse({ error: 'Missing required fields' }, 400, corsHeaders);
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
+
+    const validationError = await validateConfigRequest(body, apiKey, env);
+    if (validationError) {
+      return jsonResponse({ error: validationError }, 400, corsHeaders);
     }
 
     const configKey = `config:${await hashString(formId)}`;
 
     // Check if this is a new form or an update to existing config
-    const existingConfig = await env.TALLYFORMS.get(configKey, { type: 'json' });
+    const existingConfig = await getWithDecryptedApiKey(configKey, env);
+
+    const accessError = await checkFormAccess(apiKey, formId, existingConfig);
+    if (accessError) {
+      return jsonResponse({ error: accessError }, 403, corsHeaders);
+    }
 
     // Only apply rate limiting for NEW forms (not updates)
     if (!existingConfig) {
@@ -277,33 +675,62 @@ async function handleSaveConfig(request, env, corsHeaders) {
       await incrementRateLimit(clientIP, env);
     }
 
-    // Determine if any fields are active
-    const hasActiveFields = Object.values(fields).some(
-      config => config.enabled && (config.minDays !== null || config.maxDays !== null)
-    );
+    // Determine if any fields are active - in any rule set when there are rule sets
+    const fieldSets = ruleSets.length > 0 ? ruleSets.map(ruleSet => ruleSet.fields) : [fields];
+    const hasActiveFields = fieldSets.some(fieldSet => Object.values(fieldSet).some(
+      isManagedField
+    ));
 
     const config = {
       apiKey,
       formId,
       timezone,
       fields,
+      ruleSets,
+      holidayListId,
+      webhookSecret: existingConfig?.webhookSecret || generateWebhookSecret(),
+      submissionCap,
+      capReached: existingConfig?.capReached || false,
+      capClosedForm: existingConfig?.capClosedForm || false,
       lastRun: null,
       disabled: !hasActiveFields,
-      updatedAt: Date.now()
+      indexed: true,
+      updatedAt: Date.now(),
+      expiresAt: hasActiveFields ? null : Date.now() + DISABLED_CONFIG_TTL * 1000
     };
 
+    // Check the cap right away, so raising or removing it restores the form on save
+    try {
+      await applySubmissionCap(config);
+    } catch (error) {
+      console.error(`Failed to check submission cap for form ${formId}:`, error);
+    }
+
     if (!hasActiveFields) {
       // Store with 3-day TTL if disabled
-      await env.TALLYFORMS.put(configKey, JSON.stringify(config), {
-        expirationTtl: 259200 // 3 days
+      await putWithEncryptedApiKey(configKey, config, env, {
+        expirationTtl: DISABLED_CONFIG_TTL
       });
     } else {
       // Store perpetually if active
-      await env.TALLYFORMS.put(configKey, JSON.stringify(config));
+      await putWithEncryptedApiKey(configKey, config, env);
+    }
 
+    await addToConfigIndex(apiKey, formId, env);
+    if (existingConfig?.apiKey && existingConfig.apiKey !== apiKey) {
+      await removeFromConfigIndex(existingConfig.apiKey, formId, env);
+    }
+
+    emitEvent(config, 'config.saved', {
+      timezone,
+      disabled: config.disabled,
+      capReached: config.capReached
+    }, env);
+
+    if (hasActiveFields) {
       // Immediately update the form (don't wait for cron)
       try {
-        await updateFormDateLimits(config, env);
+        await runFormUpdate(config, env, 'save');
         console.log(`Immediately applied date limits for form ${formId}`);
       } catch (error) {
         console.error(`Failed to immediately update form ${formId}:`, error);
@@ -315,1189 +742,1540 @@ async function handleSaveConfig(request, env, corsHeaders) {
 
   } catch (error) {
     console.error('Error in handleSaveConfig:', error);
-    return jsonResponse({ error: error.message }, 500, corsHeaders);
+    return errorResponse(error, corsHeaders);
   }
 }
 
-// Update form date limits via Tally API
-// This function is surgical: it fetches the latest form state immediately before
-// patching to minimize conflicts with concurrent edits, only modifies date fields
-// we're managing, and only sends the PATCH if values actually changed.
-async function updateFormDateLimits(config, _env) {
+// Handle save open/close schedule request
+// An empty schedule (no events and no final close time) removes the schedule.
+async function handleSaveSchedule(request, env, corsHeaders) {
   try {
-    // Fetch current form structure (gets latest state to minimize conflict window)
-    const response = await fetch(`${TALLY_API_BASE}/forms/${config.formId}`, {
-      headers: {
-        'Authorization': `Bearer ${config.apiKey}`,
-        'Accept': 'application/json'
-      }
-    });
+    const body = await request.json();
+    const { formId, timezone, events = [], closeForeverAt = null } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
-    if (!response.ok) {
-      throw new Error('Failed to fetch form from Tally API');
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
     }
 
-    const formData = await response.json();
-    const form = formData.data || formData;
+    if (!formId || !timezone) {
+      return jsonResponse({ error: 'Missing required fields' }, 400, corsHeaders);
+    }
 
-    if (!form.blocks || !Array.isArray(form.blocks)) {
-      return;
+    if (!isValidTimezone(timezone)) {
+      return jsonResponse({ error: `Unknown timezone "${timezone}"` }, 400, corsHeaders);
     }
 
-    // Calculate date limits based on timezone
-    const now = new Date();
-    const tzNow = new Date(now.toLocaleString('en-US', { timeZone: config.timezone }));
+    const validationError = validateSchedule(events, closeForeverAt);
+    if (validationError) {
+      return jsonResponse({ error: validationError }, 400, corsHeaders);
+    }
 
-    let blocksModified = false;
+    const formHash = await hashString(formId);
+    const scheduleKey = `schedule:${formHash}`;
+    const existingSchedule = await getWithDecryptedApiKey(scheduleKey, env);
 
-    // Update date field blocks - only touch fields we're actively managing with configured values
-    form.blocks.forEach(block => {
-      if (block.type === 'INPUT_DATE') {
-        const fieldConfig = config.fields[block.uuid];
+    const accessError = await checkFormAccess(apiKey, formId, existingSchedule);
+    if (accessError) {
+      return jsonResponse({ error: accessError }, 403, corsHeaders);
+    }
 
-        // Skip if disabled or no limits configured (user will handle manually)
-        if (!fieldConfig || !fieldConfig.enabled) {
-          console.log(`Skipping field ${block.uuid} - disabled or not configured`);
-          return;
-        }
+    if (events.length === 0 && !closeForeverAt) {
+      await env.TALLYFORMS.delete(scheduleKey);
+      return jsonResponse({ success: true, scheduledState: null }, 200, corsHeaders);
+    }
 
-        const hasMinDays = fieldConfig.minDays !== null && fieldConfig.minDays !== undefined;
-        const hasMaxDays = fieldConfig.maxDays !== null && fieldConfig.maxDays !== undefined;
+    // Only apply rate limiting for forms that aren't managed yet
+    const existingConfig = await env.TALLYFORMS.get(`config:${formHash}`, { type: 'json' });
+    if (!existingSchedule && !existingConfig) {
+      const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+      await incrementRateLimit(clientIP, env);
+    }
 
-        // Skip if no date limits configured (both blank)
-        if (!hasMinDays && !hasMaxDays) {
-          console.log(`Skipping field ${block.uuid} - no date limits configured`);
-          return;
-        }
+    const schedule = {
+      apiKey,
+      formId,
+      timezone,
+      events,
+      closeForeverAt,
+      lastAppliedState: null,
+      lastRun: null,
+      updatedAt: Date.now()
+    };
 
-        // Get a display label for logging
-        const displayLabel = block.payload?.label?.trim()
-          || block.payload?.title?.trim()
-          || block.payload?.text?.trim()
-          || block.payload?.question?.trim()
-          || block.label?.trim()
-          || block.uuid.substring(0, 8);
+    // Apply the scheduled state right away (don't wait for cron)
+    const scheduledState = getScheduledState(schedule, getZonedNow(timezone));
+    if (scheduledState) {
+      try {
+        await updateFormOpenState(schedule, scheduledState);
+        schedule.lastAppliedState = scheduledState;
+        schedule.lastRun = Date.now();
+      } catch (error) {
+        console.error(`Failed to immediately apply schedule for form ${formId}:`, error);
+        // Don't fail the save - cron will retry
+      }
+    }
 
-        console.log(`Processing date field "${displayLabel}" (${block.uuid}):`, {
-          minDays: fieldConfig.minDays,
-          maxDays: fieldConfig.maxDays,
-          currentBeforeDate: block.payload?.beforeDate,
-          currentAfterDate: block.payload?.afterDate
-        });
+    await putWithEncryptedApiKey(scheduleKey, schedule, env);
 
-        if (!block.payload) {
-          block.payload = {};
-        }
+    return jsonResponse({ success: true, scheduledState }, 200, corsHeaders);
 
-        let fieldModified = false;
+  } catch (error) {
+    console.error('Error in handleSaveSchedule:', error);
+    return errorResponse(error, corsHeaders);
+  }
+}
 
-        // Calculate minimum date (earliest selectable) - Tally uses "afterDate"
-        if (hasMinDays) {
-          const minDate = new Date(tzNow);
-          minDate.setDate(minDate.getDate() + fieldConfig.minDays);
-          const formattedMinDate = formatDate(minDate);
+// Handle a Tally FORM_RESPONSE webhook: count the chosen dates of capacity-limited
+// fields and update the form as soon as a date is full
+async function handleTallyWebhook(request, env, corsHeaders, configId) {
+  try {
+    const rawBody = await request.text();
+    const config = await getWithDecryptedApiKey(`config:${configId}`, env);
 
-          // Only update if the value actually changed
-          if (block.payload.afterDate !== formattedMinDate) {
-            block.payload.afterDate = formattedMinDate;
-            console.log(`Setting afterDate to ${formattedMinDate} (${fieldConfig.minDays} days from today)`);
-            fieldModified = true;
-          }
-        }
+    if (!config) {
+      return jsonResponse({ error: 'Configuration not found' }, 404, corsHeaders);
+    }
 
-        // Calculate maximum date (latest selectable) - Tally uses "beforeDate"
-        if (hasMaxDays) {
-          const maxDate = new Date(tzNow);
-          maxDate.setDate(maxDate.getDate() + fieldConfig.maxDays);
-          const formattedMaxDate = formatDate(maxDate);
+    const signature = request.headers.get('Tally-Signature');
+    if (!(await verifyTallySignature(rawBody, signature, config.webhookSecret))) {
+      return jsonResponse({ error: 'Invalid webhook signature' }, 401, corsHeaders);
+    }
 
-          // Only update if the value actually changed
-          if (block.payload.beforeDate !== formattedMaxDate) {
-            block.payload.beforeDate = formattedMaxDate;
-            console.log(`Setting beforeDate to ${formattedMaxDate} (${fieldConfig.maxDays} days from today)`);
-            fieldModified = true;
-          }
-        }
+    const event = JSON.parse(rawBody);
+    if (event.eventType !== 'FORM_RESPONSE') {
+      return jsonResponse({ success: true, counted: 0 }, 200, corsHeaders);
+    }
 
-        if (fieldModified) {
-          console.log(`Updated payload:`, JSON.stringify(block.payload));
-          blocksModified = true;
-        } else {
-          console.log(`No changes needed for field ${block.uuid}`);
-        }
+    const tzNow = getZonedNow(config.timezone);
+    const fields = getActiveFields(config, tzNow) || {};
+    const capacityFields = Object.entries(fields)
+      .filter(([, fieldConfig]) => fieldConfig?.enabled && fieldConfig.capacity)
+      .map(([uuid, fieldConfig]) => ({ uuid, kind: fieldConfig.type === 'choices' ? 'choices' : 'date' }));
+
+    const answers = findCapacityAnswers(event.data?.fields, capacityFields);
+    if (answers.length === 0) {
+      return jsonResponse({ success: true, counted: 0 }, 200, corsHeaders);
+    }
+
+    const counter = getCapacityCounter(configId, env);
+    const record = await counter.read(configId);
+
+    const holidayList = config.holidayListId
+      ? await loadHolidayList(config.apiKey, config.holidayListId, env)
+      : null;
+    const isHoliday = createHolidayChecker(holidayList);
+
+    const submittedDates = [];
+
+    for (const answer of answers) {
+      const fieldConfig = fields[answer.uuid];
+      let dates = answer.values;
+
+      // Choice answers are option texts - find the dates they were generated from.
+      // The form's options skip full dates, so generate as many more as there are full dates.
+      if (answer.kind === 'choices') {
+        const fullDates = Object.values(record.counts?.[answer.uuid] || {})
+          .filter(count => count >= fieldConfig.capacity).length;
+        const fieldNow = fieldConfig.timezone ? getZonedNow(fieldConfig.timezone) : tzNow;
+        const options = generateChoiceOptions(fieldNow, { ...fieldConfig, count: fieldConfig.count + fullDates }, { isHoliday });
+        dates = answer.values
+          .map(label => options.find(option => option.label === label)?.date)
+          .filter(Boolean);
       }
-    });
 
-    if (blocksModified) {
-      // Update form via PATCH
-      const patchPayload = { blocks: form.blocks };
-      console.log(`Sending PATCH request to Tally for form ${config.formId}`);
-      console.log(`PATCH payload (first 2 blocks):`, JSON.stringify(patchPayload.blocks.slice(0, 2), null, 2));
-
-      const updateResponse = await fetch(`${TALLY_API_BASE}/forms/${config.formId}`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${config.apiKey}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(patchPayload)
-      });
+      submittedDates.push(...dates.map(date => ({ uuid: answer.uuid, date })));
+    }
+
+    // Tally retries deliveries that time out - count each submission once
+    const counts = await counter.countSubmission(configId, event.eventId, submittedDates, tzNow);
+    if (!counts) {
+      return jsonResponse({ success: true, counted: 0, duplicate: true }, 200, corsHeaders);
+    }
 
-      console.log(`PATCH response status: ${updateResponse.status} ${updateResponse.statusText}`);
+    let reachedCapacity = false;
+    for (const { uuid, date, count } of counts) {
+      console.log(`Counted submission for field ${uuid} on ${date} (${count}/${fields[uuid].capacity})`);
 
-      if (!updateResponse.ok) {
-        const errorText = await updateResponse.text();
-        console.error('Failed to update form. Response:', errorText);
-        throw new Error(`Failed to update form via Tally API: ${updateResponse.status} ${errorText}`);
+      if (count === fields[uuid].capacity) {
+        reachedCapacity = true;
       }
+    }
+    const counted = counts.length;
 
-      const responseData = await updateResponse.json();
-      console.log(`Successfully updated form ${config.formId}. Response:`, JSON.stringify(responseData, null, 2));
-    } else {
-      console.log(`No changes needed for form ${config.formId} - dates are already up to date`);
+    if (reachedCapacity) {
+      try {
+        await runFormUpdate(config, env, 'webhook');
+        console.log(`Removed full dates from form ${config.formId}`);
+      } catch (error) {
+        console.error(`Failed to update form ${config.formId} after reaching capacity:`, error);
+        // The next cron run removes the full dates
+      }
     }
 
+    return jsonResponse({ success: true, counted }, 200, corsHeaders);
+
   } catch (error) {
-    console.error('Error updating form date limits:', error);
-    throw error;
+    console.error('Error in handleTallyWebhook:', error);
+    return errorResponse(error, corsHeaders);
   }
 }
 
-// Check if form should be updated now based on timezone
-async function shouldUpdateNow(config, env) {
-  // If disabled, don't update
-  if (config.disabled) {
-    return false;
-  }
+// Handle list configs request - every config saved with the request's API key
+async function handleListConfigs(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const apiKey = await getRequestApiKey(request, body, env);
 
-  // Get current hour in the user's timezone
-  const now = new Date();
-  const tzTime = new Date(now.toLocaleString('en-US', { timeZone: config.timezone }));
-  const currentHour = tzTime.getHours();
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
 
-  // Check metadata for last update hour
-  const metadataKey = `metadata:${await hashString(config.formId)}`;
-  const metadata = await env.TALLYFORMS.get(metadataKey, { type: 'json' });
+    const indexKey = `configs:${await hashString(apiKey)}`;
+    const formIds = await env.TALLYFORMS.get(indexKey, 'json') || [];
 
-  if (metadata) {
-    const lastUpdateHour = metadata.lastUpdateHour;
-    const lastUpdateDate = metadata.lastUpdateDate;
+    const configs = [];
+    const staleFormIds = [];
+    for (const formId of formIds) {
+      let config;
+      try {
+        config = await getWithDecryptedApiKey(`config:${await hashString(formId)}`, env);
+      } catch (error) {
+        console.error(`Skipping unreadable config of form ${formId}:`, error.message);
+        continue;
+      }
 
-    // Get today's date in timezone
-    const todayDate = `${tzTime.getFullYear()}-${String(tzTime.getMonth() + 1).padStart(2, '0')}-${String(tzTime.getDate()).padStart(2, '0')}`;
+      // Expired, deleted, or saved with another API key since
+      if (!config || config.apiKey !== apiKey) {
+        staleFormIds.push(formId);
+        continue;
+      }
 
-    // If we already updated today at this hour, skip
-    if (lastUpdateDate === todayDate && lastUpdateHour === currentHour) {
-      return false;
+      configs.push({
+        formId: config.formId,
+        timezone: config.timezone,
+        status: config.disabled ? 'disabled' : 'active',
+        disabledReason: config.disabledReason || null,
+        capReached: config.capReached || false,
+        lastRun: config.lastRun,
+        updatedAt: config.updatedAt,
+        expiresAt: config.expiresAt || null
+      });
     }
-  }
-
-  // Update metadata
-  const todayDate = `${tzTime.getFullYear()}-${String(tzTime.getMonth() + 1).padStart(2, '0')}-${String(tzTime.getDate()).padStart(2, '0')}`;
-  await env.TALLYFORMS.put(metadataKey, JSON.stringify({
-    lastUpdateHour: currentHour,
-    lastUpdateDate: todayDate,
-    timezone: config.timezone
-  }), {
-    expirationTtl: 86400 // 1 day
-  });
 
-  return true;
-}
+    if (staleFormIds.length > 0) {
+      await env.TALLYFORMS.put(indexKey, JSON.stringify(formIds.filter(formId => !staleFormIds.includes(formId))));
+    }
 
-// Rate limiting functions
-async function checkRateLimit(ip, env) {
-  const rateLimitKey = `ratelimit:${CACHE_VERSION}:${ip}`;
-  const count = await env.TALLYFORMS.get(rateLimitKey);
+    return jsonResponse({ configs }, 200, corsHeaders);
 
-  if (!count) {
-    return true;
+  } catch (error) {
+    console.error('Error in handleListConfigs:', error);
+    return errorResponse(error, corsHeaders);
   }
-
-  return parseInt(count) < 5;
 }
 
-async function incrementRateLimit(ip, env) {
-  const rateLimitKey = `ratelimit:${CACHE_VERSION}:${ip}`;
-  const count = await env.TALLYFORMS.get(rateLimitKey);
+// Handle delete config request - stop managing a form, optionally putting back the
+// limits its fields had before the worker first changed them
+async function handleDeleteConfig(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { formId, restoreOriginalLimits: restore = false } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
-  const currentCount = count ? parseInt(count) : 0;
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
 
-  if (currentCount >= 5) {
-    throw new Error('Rate limit exceeded. You can only configure 5 forms per day.');
-  }
+    if (!formId) {
+      return jsonResponse({ error: 'Form ID is required' }, 400, corsHeaders);
+    }
 
-  const newCount = currentCount + 1;
+    const configId = await hashString(formId);
+    const config = await getWithDecryptedApiKey(`config:${configId}`, env);
 
-  // Set TTL to expire at end of day (86400 seconds = 24 hours)
-  await env.TALLYFORMS.put(rateLimitKey, newCount.toString(), {
-    expirationTtl: 86400
-  });
+    if (!config) {
+      return jsonResponse({ error: 'Configuration not found' }, 404, corsHeaders);
+    }
 
-  console.log(`Rate limit for ${ip} (cache: ${CACHE_VERSION}): ${newCount}/5`);
-}
+    if (config.apiKey !== apiKey) {
+      return jsonResponse({ error: 'This form is configured with a different API key' }, 403, corsHeaders);
+    }
 
-// Utility functions
-async function hashString(str) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(str);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-}
+    // Restore first, so a failed restore leaves the config (and the originals) to retry with
+    let restored = false;
+    if (restore) {
+      const originals = await env.TALLYFORMS.get(`originals:${configId}`, 'json') || {};
+      const collapsed = await env.TALLYFORMS.get(`collapsed:${configId}`, 'json') || {};
 
-function formatDate(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
+      const form = await fetchForm(apiKey, formId);
+      const fetchedBlocks = JSON.parse(JSON.stringify(form.blocks));
 
-function jsonResponse(data, status = 200, extraHeaders = {}) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      ...extraHeaders
+      if (restoreOriginalLimits(form.blocks, originals, collapsed)) {
+        await patchFormBlocks(config, fetchedBlocks, form.blocks, env, 'restore-original-limits');
+        restored = true;
+      }
     }
-  });
-}
 
-// Serve static files
-function serveFile(filename, contentType, _env) {
-  // Read from public directory
-  const files = {
-    'index.html': `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Tally Forms Automation</title>
-    <link rel="stylesheet" href="style.css">
-</head>
-<body>
-    <div class="container">
-        <header>
-            <h1>Tally Forms Automation</h1>
-            <p>Automatically manage date field limitations for your Tally forms</p>
-        </header>
-
-        <main>
-            <section class="input-section">
-                <h2>Step 1: Connect Your Tally Account</h2>
-
-                <div class="form-group">
-                    <label for="apiKey">Tally API Key</label>
-                    <input
-                        type="password"
-                        id="apiKey"
-                        placeholder="Enter your Tally API key"
-                        class="form-input"
-                    >
-                    <small>Get your API key from <a href="https://tally.so/settings/api-keys" target="_blank">tally.so/settings/api-keys</a></small>
-                </div>
-
-                <div class="form-group">
-                    <label for="timezone">Your Timezone</label>
-                    <select id="timezone" class="form-input">
-                        <option value="">Detecting...</option>
-                    </select>
-                    <small>Date limits will update based on this timezone</small>
-                </div>
-
-                <button id="loadFormsBtn" class="btn btn-primary">Load My Forms</button>
-
-                <div id="loadingIndicator" class="loading-indicator hidden">
-                    <div class="spinner"></div>
-                    <span>Loading forms...</span>
-                </div>
-            </section>
-
-            <section id="formsSection" class="forms-section hidden">
-                <h2>Step 2: Select a Form</h2>
-
-                <div id="formsList" class="forms-list">
-                    <!-- Forms will be populated here -->
-                </div>
-            </section>
-
-            <section id="fieldsSection" class="fields-section hidden">
-                <h2>Step 3: Configure Date Field Limits</h2>
-
-                <div class="selected-form-info">
-                    <strong>Selected Form:</strong> <span id="selectedFormName"></span>
-                </div>
-
-                <div id="dateFieldsList" class="date-fields-list">
-                    <!-- Date fields will be populated here -->
-                </div>
-
-                <div class="action-buttons">
-                    <button id="saveConfigBtn" class="btn btn-primary">Save Configuration</button>
-                    <button id="backToFormsBtn" class="btn btn-secondary">Back to Forms</button>
-                </div>
-            </section>
-
-            <section id="successSection" class="success-section hidden">
-                <div class="success-message">
-                    <svg viewBox="0 0 24 24" width="48" height="48">
-                        <path fill="#27ae60" d="M12,2A10,10 0 0,1 22,12A10,10 0 0,1 12,22A10,10 0 0,1 2,12A10,10 0 0,1 12,2M12,4A8,8 0 0,0 4,12A8,8 0 0,0 12,20A8,8 0 0,0 20,12A8,8 0 0,0 12,4M11,16.5L6.5,12L7.91,10.59L11,13.67L16.59,8.09L18,9.5L11,16.5Z"/>
-                    </svg>
-                    <h3>Configuration Saved!</h3>
-                    <p>Your date field limits have been applied immediately and will be updated automatically every hour.</p>
-                    <button id="configureAnotherBtn" class="btn btn-primary">Configure Another Form</button>
-                </div>
-            </section>
-        </main>
-
-        <footer>
-            <p>Rate limit: 5 forms per day per IP address</p>
-            <p>Date limits apply immediately and refresh hourly based on your timezone</p>
-            <p>Not affiliated with Tally Forms</p>
-        </footer>
-    </div>
-
-    <script src="script.js"></script>
-</body>
-</html>`,
-    'style.css': `* {
-    margin: 0;
-    padding: 0;
-    box-sizing: border-box;
-}
-
-body {
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-    line-height: 1.6;
-    color: #333;
-    background-color: #f5f5f5;
-}
-
-.container {
-    max-width: 900px;
-    margin: 0 auto;
-    padding: 20px;
-}
+    await Promise.all(['config', 'metadata', 'templates', 'originals', 'collapsed'].map(
+      prefix => env.TALLYFORMS.delete(`${prefix}:${configId}`)
+    ));
+    await getCapacityCounter(configId, env).clear(configId);
+    await removeFromConfigIndex(apiKey, formId, env);
+    await recordRun(formId, createRunEntry('delete', { modified: restored, fields: [] }), env);
 
-header {
-    text-align: center;
-    margin-bottom: 40px;
-    padding: 40px 20px;
-    background: white;
-    border-radius: 8px;
-    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-}
+    return jsonResponse({ success: true, restored }, 200, corsHeaders);
 
-header h1 {
-    color: #2c3e50;
-    font-size: 2.5em;
-    margin-bottom: 10px;
+  } catch (error) {
+    console.error('Error in handleDeleteConfig:', error);
+    return errorResponse(error, corsHeaders);
+  }
 }
 
-header p {
-    color: #7f8c8d;
-    font-size: 1.1em;
-}
+// Handle run history request - a form's update runs, newest first
+async function handleGetRunHistory(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { formId } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
-.input-section, .forms-section, .fields-section, .success-section {
-    background: white;
-    padding: 30px;
-    border-radius: 8px;
-    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-    margin-bottom: 20px;
-}
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
 
-.input-section h2, .forms-section h2, .fields-section h2 {
-    color: #2c3e50;
-    margin-bottom: 20px;
-}
+    if (!formId) {
+      return jsonResponse({ error: 'Form ID is required' }, 400, corsHeaders);
+    }
 
-.form-group {
-    margin-bottom: 20px;
-}
+    const accessError = await checkFormAccess(apiKey, formId, null);
+    if (accessError) {
+      return jsonResponse({ error: accessError }, 403, corsHeaders);
+    }
 
-.form-group label {
-    display: block;
-    margin-bottom: 5px;
-    font-weight: 600;
-    color: #2c3e50;
-}
+    const history = await env.TALLYFORMS.get(`history:${await hashString(formId)}`, 'json') || [];
 
-.form-input {
-    width: 100%;
-    padding: 12px;
-    border: 1px solid #ddd;
-    border-radius: 4px;
-    font-size: 16px;
-    transition: border-color 0.3s;
-}
+    return jsonResponse({ runs: [...history].reverse() }, 200, corsHeaders);
 
-.form-input:focus {
-    outline: none;
-    border-color: #3498db;
+  } catch (error) {
+    console.error('Error in handleGetRunHistory:', error);
+    return errorResponse(error, corsHeaders);
+  }
 }
 
-.form-group small {
-    display: block;
-    margin-top: 5px;
-    color: #7f8c8d;
-    font-size: 0.9em;
-}
+// Handle list snapshots request - the block snapshots of a form, newest first
+async function handleListSnapshots(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { formId } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
-.form-group small a {
-    color: #3498db;
-    text-decoration: none;
-}
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
 
-.form-group small a:hover {
-    text-decoration: underline;
-}
+    if (!formId) {
+      return jsonResponse({ error: 'Form ID is required' }, 400, corsHeaders);
+    }
 
-.btn {
-    padding: 12px 30px;
-    border: none;
-    border-radius: 4px;
-    font-size: 16px;
-    font-weight: 600;
-    cursor: pointer;
-    transition: background-color 0.3s;
-}
+    const accessError = await checkFormAccess(apiKey, formId, null);
+    if (accessError) {
+      return jsonResponse({ error: accessError }, 403, corsHeaders);
+    }
 
-.btn-primary {
-    background-color: #3498db;
-    color: white;
-}
+    const history = await env.TALLYFORMS.get(`snapshots:${await hashString(formId)}`, 'json') || [];
+    const snapshots = history.map(describeSnapshot).reverse();
 
-.btn-primary:hover {
-    background-color: #2980b9;
-}
+    return jsonResponse({ snapshots }, 200, corsHeaders);
 
-.btn-primary:disabled {
-    background-color: #95a5a6;
-    cursor: not-allowed;
+  } catch (error) {
+    console.error('Error in handleListSnapshots:', error);
+    return errorResponse(error, corsHeaders);
+  }
 }
 
-.btn-secondary {
-    background-color: #95a5a6;
-    color: white;
-}
+// Handle compare and restore snapshot requests: compare a snapshot with the live form,
+// and when "restore" is set, put the snapshot's blocks back
+async function handleSnapshot(request, env, corsHeaders, restore) {
+  try {
+    const body = await request.json();
+    const { formId, snapshotId } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
-.btn-secondary:hover {
-    background-color: #7f8c8d;
-}
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
 
-.hidden {
-    display: none !important;
-}
+    if (!formId || !snapshotId) {
+      return jsonResponse({ error: 'Form ID and snapshot ID are required' }, 400, corsHeaders);
+    }
 
-.loading-indicator {
-    display: flex;
-    align-items: center;
-    gap: 10px;
-    margin-top: 20px;
-    color: #7f8c8d;
-}
+    const accessError = await checkFormAccess(apiKey, formId, null);
+    if (accessError) {
+      return jsonResponse({ error: accessError }, 403, corsHeaders);
+    }
 
-.spinner {
-    border: 3px solid #f3f3f3;
-    border-top: 3px solid #3498db;
-    border-radius: 50%;
-    width: 24px;
-    height: 24px;
-    animation: spin 1s linear infinite;
-}
+    const history = await env.TALLYFORMS.get(`snapshots:${await hashString(formId)}`, 'json') || [];
+    const snapshot = history.find(candidate => candidate.id === snapshotId);
 
-@keyframes spin {
-    0% { transform: rotate(0deg); }
-    100% { transform: rotate(360deg); }
-}
+    if (!snapshot) {
+      return jsonResponse({ error: 'Snapshot not found' }, 404, corsHeaders);
+    }
 
-.forms-list {
-    display: grid;
-    gap: 15px;
-}
+    const form = await fetchForm(apiKey, formId);
+    const { changes, orderChanged } = compareBlocks(snapshot.blocks, form.blocks);
 
-.form-card {
-    padding: 20px;
-    border: 2px solid #ecf0f1;
-    border-radius: 8px;
-    cursor: pointer;
-    transition: all 0.3s;
-    background: white;
-}
+    if (restore && (changes.length > 0 || orderChanged)) {
+      // The live blocks become a snapshot too, so a restore can be undone
+      await patchFormBlocks({ apiKey, formId }, form.blocks, snapshot.blocks, env, 'restore-snapshot');
+    }
 
-.form-card:hover {
-    border-color: #3498db;
-    box-shadow: 0 2px 8px rgba(52, 152, 219, 0.2);
-}
+    return jsonResponse({
+      snapshot: describeSnapshot(snapshot),
+      changes,
+      orderChanged,
+      restored: restore && (changes.length > 0 || orderChanged)
+    }, 200, corsHeaders);
 
-.form-card.configured {
-    border-color: #27ae60;
-    background-color: #f0fff4;
+  } catch (error) {
+    console.error('Error in handleSnapshot:', error);
+    return errorResponse(error, corsHeaders);
+  }
 }
 
-.form-card h3 {
-    color: #2c3e50;
-    margin-bottom: 10px;
-    font-size: 1.2em;
-}
+// Handle adjust capacity request - set the count of a date by hand, e.g. after a cancellation
+async function handleAdjustCapacity(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { formId, fieldUuid, date, count } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
-.form-card p {
-    color: #7f8c8d;
-    font-size: 0.9em;
-}
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
 
-.form-badge {
-    display: inline-block;
-    padding: 4px 12px;
-    border-radius: 12px;
-    font-size: 0.8em;
-    font-weight: 600;
-    margin-top: 10px;
-}
+    if (!formId || !fieldUuid || !date) {
+      return jsonResponse({ error: 'Missing required fields' }, 400, corsHeaders);
+    }
 
-.form-badge.configured {
-    background-color: #27ae60;
-    color: white;
-}
+    if (!isValidDateString(date)) {
+      return jsonResponse({ error: 'Date must be a YYYY-MM-DD date' }, 400, corsHeaders);
+    }
 
-.selected-form-info {
-    padding: 15px;
-    background-color: #f8f9fa;
-    border-radius: 4px;
-    margin-bottom: 25px;
-    color: #2c3e50;
-}
+    if (!Number.isInteger(count) || count < 0) {
+      return jsonResponse({ error: 'Count must be a whole number of at least 0' }, 400, corsHeaders);
+    }
 
-.date-fields-list {
-    display: grid;
-    gap: 20px;
-    margin-bottom: 25px;
-}
+    const configId = await hashString(formId);
+    const config = await getWithDecryptedApiKey(`config:${configId}`, env);
 
-.date-field-card {
-    padding: 20px;
-    border: 2px solid #ecf0f1;
-    border-radius: 8px;
-    background: #fafafa;
-}
+    if (!config) {
+      return jsonResponse({ error: 'Configuration not found' }, 404, corsHeaders);
+    }
 
-.date-field-card.disabled {
-    opacity: 0.6;
-}
+    if (config.apiKey !== apiKey) {
+      return jsonResponse({ error: 'This form is configured with a different API key' }, 403, corsHeaders);
+    }
 
-.field-header {
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    margin-bottom: 15px;
-}
+    const counts = await getCapacityCounter(configId, env).setCount(configId, fieldUuid, date, count);
 
-.field-header h3 {
-    color: #2c3e50;
-    font-size: 1.1em;
-}
+    // Re-apply the rules right away so a date that has room again comes back
+    try {
+      await runFormUpdate(config, env, 'adjust-capacity');
+    } catch (error) {
+      console.error(`Failed to update form ${formId} after adjusting capacity:`, error);
+    }
 
-.toggle-switch {
-    position: relative;
-    display: inline-block;
-    width: 50px;
-    height: 26px;
-}
+    return jsonResponse({ success: true, counts }, 200, corsHeaders);
 
-.toggle-switch input {
-    opacity: 0;
-    width: 0;
-    height: 0;
+  } catch (error) {
+    console.error('Error in handleAdjustCapacity:', error);
+    return errorResponse(error, corsHeaders);
+  }
 }
 
-.toggle-slider {
-    position: absolute;
-    cursor: pointer;
-    top: 0;
-    left: 0;
-    right: 0;
-    bottom: 0;
-    background-color: #ccc;
-    transition: 0.4s;
-    border-radius: 26px;
-}
+// KV key of the event webhooks a request manages: those of a form when it has a
+// formId (the API key must have access to the form), otherwise those of the account.
+// Returns { webhooksKey } or { error, status }.
+async function resolveEventWebhooksKey(request, body, env) {
+  const apiKey = await getRequestApiKey(request, body, env);
+  if (!apiKey) {
+    return { error: NOT_SIGNED_IN_ERROR, status: 401 };
+  }
 
-.toggle-slider:before {
-    position: absolute;
-    content: "";
-    height: 18px;
-    width: 18px;
-    left: 4px;
-    bottom: 4px;
-    background-color: white;
-    transition: 0.4s;
-    border-radius: 50%;
-}
+  if (!body.formId) {
+    return { webhooksKey: `webhooks:account:${await hashString(apiKey)}` };
+  }
 
-input:checked + .toggle-slider {
-    background-color: #27ae60;
-}
+  const accessError = await checkFormAccess(apiKey, body.formId, null);
+  if (accessError) {
+    return { error: accessError, status: 403 };
+  }
 
-input:checked + .toggle-slider:before {
-    transform: translateX(24px);
+  return { webhooksKey: `webhooks:form:${await hashString(body.formId)}` };
 }
 
-.date-inputs {
-    display: grid;
-    gap: 15px;
-}
+// Handle list event webhooks request
+async function handleGetEventWebhooks(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { webhooksKey, error, status } = await resolveEventWebhooksKey(request, body, env);
 
-.date-input-group {
-    display: flex;
-    align-items: center;
-    gap: 10px;
-}
+    if (error) {
+      return jsonResponse({ error }, status, corsHeaders);
+    }
 
-.date-input-group label {
-    min-width: 100px;
-    font-weight: 600;
-    color: #2c3e50;
-}
+    const webhooks = await env.TALLYFORMS.get(webhooksKey, 'json') || [];
 
-.date-input-group input[type="number"] {
-    flex: 1;
-    padding: 10px;
-    border: 1px solid #ddd;
-    border-radius: 4px;
-    font-size: 16px;
-}
+    return jsonResponse({ webhooks }, 200, corsHeaders);
 
-.date-input-group input[type="number"]:focus {
-    outline: none;
-    border-color: #3498db;
+  } catch (error) {
+    console.error('Error in handleGetEventWebhooks:', error);
+    return errorResponse(error, corsHeaders);
+  }
 }
 
-.date-input-group small {
-    color: #7f8c8d;
-    font-size: 0.85em;
-}
+// Handle save event webhook request - add a webhook, or change the URL and events of one.
+// New webhooks get a random signing secret.
+async function handleSaveEventWebhook(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { id, url, events } = body;
+    const { webhooksKey, error, status } = await resolveEventWebhooksKey(request, body, env);
 
-.action-buttons {
-    display: flex;
-    gap: 10px;
-}
+    if (error) {
+      return jsonResponse({ error }, status, corsHeaders);
+    }
 
-.success-message {
-    text-align: center;
-    padding: 40px 20px;
-}
+    const validationError = validateEventWebhook({ url, events });
+    if (validationError) {
+      return jsonResponse({ error: validationError }, 400, corsHeaders);
+    }
 
-.success-message svg {
-    margin-bottom: 20px;
-}
+    const webhooks = await env.TALLYFORMS.get(webhooksKey, 'json') || [];
+    const existing = id ? webhooks.find(webhook => webhook.id === id) : null;
 
-.success-message h3 {
-    color: #27ae60;
-    font-size: 1.8em;
-    margin-bottom: 10px;
-}
+    if (id && !existing) {
+      return jsonResponse({ error: 'Webhook not found' }, 404, corsHeaders);
+    }
 
-.success-message p {
-    color: #7f8c8d;
-    font-size: 1.1em;
-    margin-bottom: 25px;
-}
+    if (!existing && webhooks.length >= MAX_EVENT_WEBHOOKS) {
+      return jsonResponse({ error: `At most ${MAX_EVENT_WEBHOOKS} webhooks can be registered` }, 400, corsHeaders);
+    }
 
-.error-message {
-    padding: 15px;
-    background-color: #fee;
-    border: 1px solid #fcc;
-    border-radius: 4px;
-    color: #c33;
-    margin-top: 15px;
-}
+    const webhook = {
+      id: existing?.id || crypto.randomUUID(),
+      url,
+      secret: existing?.secret || generateWebhookSecret(),
+      events
+    };
 
-footer {
-    text-align: center;
-    padding: 20px;
-    color: #7f8c8d;
-    font-size: 0.9em;
-}
+    const updatedWebhooks = existing
+      ? webhooks.map(candidate => candidate.id === id ? webhook : candidate)
+      : [...webhooks, webhook];
+    await env.TALLYFORMS.put(webhooksKey, JSON.stringify(updatedWebhooks));
 
-footer p {
-    margin: 5px 0;
-}
+    return jsonResponse({ success: true, webhook }, 200, corsHeaders);
 
-footer a {
-    color: #3498db;
-    text-decoration: none;
+  } catch (error) {
+    console.error('Error in handleSaveEventWebhook:', error);
+    return errorResponse(error, corsHeaders);
+  }
 }
 
-footer a:hover {
-    text-decoration: underline;
-}
+// Handle delete event webhook request
+async function handleDeleteEventWebhook(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { webhooksKey, error, status } = await resolveEventWebhooksKey(request, body, env);
 
-@media (max-width: 600px) {
-    .container {
-        padding: 10px;
+    if (error) {
+      return jsonResponse({ error }, status, corsHeaders);
     }
 
-    header h1 {
-        font-size: 2em;
-    }
+    const webhooks = await env.TALLYFORMS.get(webhooksKey, 'json') || [];
+    const remaining = webhooks.filter(webhook => webhook.id !== body.id);
 
-    .input-section, .forms-section, .fields-section, .success-section {
-        padding: 20px;
+    if (remaining.length === webhooks.length) {
+      return jsonResponse({ error: 'Webhook not found' }, 404, corsHeaders);
     }
 
-    .action-buttons {
-        flex-direction: column;
+    if (remaining.length > 0) {
+      await env.TALLYFORMS.put(webhooksKey, JSON.stringify(remaining));
+    } else {
+      await env.TALLYFORMS.delete(webhooksKey);
     }
 
-    .date-input-group {
-        flex-direction: column;
-        align-items: flex-start;
-    }
+    return jsonResponse({ success: true }, 200, corsHeaders);
 
-    .date-input-group label {
-        min-width: auto;
-    }
-}`,
-    'script.js': `// State management
-let state = {
-    apiKey: '',
-    timezone: '',
-    forms: [],
-    selectedForm: null,
-    dateFields: [],
-    configurations: {}
-};
+  } catch (error) {
+    console.error('Error in handleDeleteEventWebhook:', error);
+    return errorResponse(error, corsHeaders);
+  }
+}
 
-// Initialize on page load
-document.addEventListener('DOMContentLoaded', () => {
-    initializeTimezones();
-    attachEventListeners();
-    loadSavedConfiguration();
-});
-
-// Initialize timezone selector
-function initializeTimezones() {
-    const timezoneSelect = document.getElementById('timezone');
-    const detectedTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-
-    // Common timezones
-    const timezones = [
-        'America/New_York',
-        'America/Chicago',
-        'America/Denver',
-        'America/Los_Angeles',
-        'America/Phoenix',
-        'America/Anchorage',
-        'Pacific/Honolulu',
-        'Europe/London',
-        'Europe/Paris',
-        'Europe/Berlin',
-        'Asia/Tokyo',
-        'Asia/Shanghai',
-        'Asia/Dubai',
-        'Australia/Sydney',
-        'Pacific/Auckland'
-    ];
+// Handle list holiday calendars request
+async function handleGetHolidayLists(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const apiKey = await getRequestApiKey(request, body, env);
 
-    timezoneSelect.innerHTML = '';
+    if (!apiKey) {
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
+    }
 
-    timezones.forEach(tz => {
-        const option = document.createElement('option');
-        option.value = tz;
-        option.textContent = tz.replace(/_/g, ' ');
-        if (tz === detectedTimezone) {
-            option.selected = true;
-        }
-        timezoneSelect.appendChild(option);
-    });
+    const prefix = `holidays:${await hashString(apiKey)}:`;
+    const list = await env.TALLYFORMS.list({ prefix });
 
-    // If detected timezone is not in the list, add it at the top
-    if (!timezones.includes(detectedTimezone)) {
-        const option = document.createElement('option');
-        option.value = detectedTimezone;
-        option.textContent = detectedTimezone.replace(/_/g, ' ') + ' (Detected)';
-        option.selected = true;
-        timezoneSelect.insertBefore(option, timezoneSelect.firstChild);
+    const holidayLists = [];
+    for (const key of list.keys) {
+      const holidayList = await env.TALLYFORMS.get(key.name, { type: 'json' });
+      if (holidayList) {
+        holidayLists.push(holidayList);
+      }
     }
 
-    state.timezone = detectedTimezone;
-}
+    const presets = Object.entries(HOLIDAY_PRESETS).map(([code, preset]) => ({
+      code,
+      name: preset.name
+    }));
 
-// Attach event listeners
-function attachEventListeners() {
-    document.getElementById('loadFormsBtn').addEventListener('click', loadForms);
-    document.getElementById('saveConfigBtn').addEventListener('click', saveConfiguration);
-    document.getElementById('backToFormsBtn').addEventListener('click', showFormsSection);
-    document.getElementById('configureAnotherBtn').addEventListener('click', resetToStart);
-    document.getElementById('timezone').addEventListener('change', (e) => {
-        state.timezone = e.target.value;
-    });
+    return jsonResponse({ holidayLists, presets }, 200, corsHeaders);
+
+  } catch (error) {
+    console.error('Error in handleGetHolidayLists:', error);
+    return errorResponse(error, corsHeaders);
+  }
 }
 
-// Load forms from Tally API
-async function loadForms() {
-    const apiKey = document.getElementById('apiKey').value.trim();
+// Handle save holiday calendar request
+// Holiday calendars belong to an API key rather than a form so they can be reused
+// across forms. Dates from an uploaded ICS file are merged into the entered dates.
+async function handleSaveHolidayList(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { id, name, presets = [], dates = [], ics } = body;
+    const apiKey = await getRequestApiKey(request, body, env);
 
     if (!apiKey) {
-        showError('Please enter your Tally API key');
-        return;
+      return jsonResponse({ error: NOT_SIGNED_IN_ERROR }, 401, corsHeaders);
     }
 
-    state.apiKey = apiKey;
+    if (!name) {
+      return jsonResponse({ error: 'Calendar name is required' }, 400, corsHeaders);
+    }
 
-    // Save API key to localStorage for convenience
-    localStorage.setItem('tallyApiKey', apiKey);
+    const validationError = validateHolidayPresets(presets) || validateHolidayDates(dates);
+    if (validationError) {
+      return jsonResponse({ error: validationError }, 400, corsHeaders);
+    }
 
-    showLoading(true);
-    hideError();
+    let icsDates = [];
+    if (ics) {
+      if (ics.length > MAX_ICS_LENGTH) {
+        return jsonResponse({ error: 'ICS file is too large' }, 400, corsHeaders);
+      }
 
-    try {
-        const response = await fetch('/api/forms', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                apiKey: state.apiKey
-            })
-        });
+      icsDates = parseIcsDates(ics);
+      if (icsDates.length === 0) {
+        return jsonResponse({ error: 'No dates found in ICS file' }, 400, corsHeaders);
+      }
+    }
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to load forms');
-        }
+    const existingList = id ? await loadHolidayList(apiKey, id, env) : null;
+    if (id && !existingList) {
+      return jsonResponse({ error: 'Holiday calendar not found' }, 404, corsHeaders);
+    }
 
-        const data = await response.json();
-        state.forms = data.forms;
+    const holidayList = {
+      id: id || crypto.randomUUID(),
+      name,
+      presets,
+      dates: Array.from(new Set([...dates, ...icsDates])).sort(),
+      updatedAt: Date.now()
+    };
 
-        displayForms();
-        showFormsSection();
+    await env.TALLYFORMS.put(
+      `holidays:${await hashString(apiKey)}:${holidayList.id}`,
+      JSON.stringify(holidayList)
+    );
 
-    } catch (error) {
-        showError(error.message);
-    } finally {
-        showLoading(false);
+    return jsonResponse({ holidayList }, 200, corsHeaders);
+
+  } catch (error) {
+    console.error('Error in handleSaveHolidayList:', error);
+    return errorResponse(error, corsHeaders);
+  }
+}
+
+// Load a holiday calendar belonging to an API key
+async function loadHolidayList(apiKey, id, env) {
+  const key = `holidays:${await hashString(apiKey)}:${id}`;
+  return env.TALLYFORMS.get(key, { type: 'json' });
+}
+
+// Read a config or schedule from KV with its API key decrypted.
+// Pass the key from a KV list to re-encrypt API keys that are unencrypted or were
+// encrypted with a previous secret, keeping the record's expiration.
+async function getWithDecryptedApiKey(kvKey, env, listedKey = null) {
+  const record = await env.TALLYFORMS.get(kvKey, { type: 'json' });
+  if (!record?.apiKey) {
+    return record;
+  }
+
+  const decrypted = { ...record, apiKey: await decryptApiKey(record.apiKey, env) };
+
+  if (listedKey && await needsReencryption(record.apiKey, env)) {
+    console.log(`Re-encrypting the API key of ${kvKey}`);
+    const options = listedKey.expiration ? { expiration: listedKey.expiration } : {};
+    await putWithEncryptedApiKey(kvKey, decrypted, env, options);
+  }
+
+  return decrypted;
+}
+
+// Write a config or schedule to KV with its API key encrypted
+async function putWithEncryptedApiKey(kvKey, record, env, options = {}) {
+  const stored = { ...record, apiKey: await encryptApiKey(record.apiKey, env) };
+  await env.TALLYFORMS.put(kvKey, JSON.stringify(stored), options);
+}
+
+// Add a form to the list of forms configured with an API key (configs:{hash(apiKey)})
+async function addToConfigIndex(apiKey, formId, env) {
+  const indexKey = `configs:${await hashString(apiKey)}`;
+  const formIds = await env.TALLYFORMS.get(indexKey, 'json') || [];
+
+  if (!formIds.includes(formId)) {
+    await env.TALLYFORMS.put(indexKey, JSON.stringify([...formIds, formId]));
+  }
+}
+
+// Remove a form from the list of forms configured with an API key
+async function removeFromConfigIndex(apiKey, formId, env) {
+  const indexKey = `configs:${await hashString(apiKey)}`;
+  const formIds = await env.TALLYFORMS.get(indexKey, 'json') || [];
+
+  if (formIds.includes(formId)) {
+    const remaining = formIds.filter(candidate => candidate !== formId);
+    if (remaining.length > 0) {
+      await env.TALLYFORMS.put(indexKey, JSON.stringify(remaining));
+    } else {
+      await env.TALLYFORMS.delete(indexKey);
     }
+  }
 }
 
-// Display forms list
-function displayForms() {
-    const formsList = document.getElementById('formsList');
-    formsList.innerHTML = '';
+// The Durable Object holding a config's capacity counts
+function getCapacityCounter(configId, env) {
+  return env.CAPACITY_COUNTER.get(env.CAPACITY_COUNTER.idFromName(configId));
+}
 
-    if (state.forms.length === 0) {
-        formsList.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No forms found in your Tally account.</p>';
-        return;
+// Validate the per-field rules sent to /api/save-config
+function validateFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return 'Field configuration must be an object keyed by field UUID';
+  }
+
+  for (const [uuid, fieldConfig] of Object.entries(fields)) {
+    const error = (fieldConfig?.type === 'choices' ? validateChoiceRules(fieldConfig)
+      : fieldConfig?.type === 'number' ? validateNumberRules(fieldConfig)
+        : validateFieldRules(fieldConfig || {})) || validateCapacity(fieldConfig?.capacity)
+      || (fieldConfig?.timezone && !isValidTimezone(fieldConfig.timezone) ? `Unknown timezone "${fieldConfig.timezone}"` : null);
+    if (error) {
+      return `Invalid configuration for field ${uuid}: ${error}`;
     }
+  }
 
-    state.forms.forEach(form => {
-        const formCard = document.createElement('div');
-        formCard.className = 'form-card';
+  return validateFieldLinks(fields);
+}
 
-        if (form.configured) {
-            formCard.classList.add('configured');
-        }
+// Validate seasonal rule sets and the field rules inside them
+function validateRuleSets(ruleSets) {
+  if (!Array.isArray(ruleSets)) {
+    return 'Rule sets must be a list';
+  }
 
-        formCard.innerHTML = \`
-            <h3>\${escapeHtml(form.name || 'Untitled Form')}</h3>
-            <p>Form ID: \${escapeHtml(form.id)}</p>
-            \${form.configured ? '<span class="form-badge configured">Configured</span>' : ''}
-        \`;
+  for (const ruleSet of ruleSets) {
+    const error = validateRuleSet(ruleSet) || validateFields(ruleSet.fields);
+    if (error) {
+      return error;
+    }
+  }
 
-        formCard.addEventListener('click', () => selectForm(form));
+  return null;
+}
 
-        formsList.appendChild(formCard);
-    });
+// Validate a form's submission cap ({ limit, action }, or null for no cap)
+function validateSubmissionCap(submissionCap) {
+  if (submissionCap === null) {
+    return null;
+  }
+
+  if (!Number.isInteger(submissionCap?.limit) || submissionCap.limit < 1) {
+    return 'Submission cap must be a whole number of at least 1';
+  }
+
+  if (!SUBMISSION_CAP_ACTIONS.includes(submissionCap.action)) {
+    return `Submission cap action must be one of ${SUBMISSION_CAP_ACTIONS.join(', ')}`;
+  }
+
+  return null;
 }
 
-// Select a form and load its fields
-async function selectForm(form) {
-    state.selectedForm = form;
+// Whether a field config asks the worker to manage its field
+function isManagedField(fieldConfig) {
+  if (!fieldConfig?.enabled) {
+    return false;
+  }
+  if (fieldConfig.type === 'number') {
+    return hasNumberLimits(fieldConfig);
+  }
+  return fieldConfig.type === 'choices' || hasDateLimits(fieldConfig);
+}
 
-    showLoading(true);
-    hideError();
+// Get the field rules that apply today: those of the active rule set when the config
+// has seasonal rule sets (null if none is active), otherwise the config's own fields
+function getActiveFields(config, tzNow) {
+  if (!config.ruleSets || config.ruleSets.length === 0) {
+    return config.fields;
+  }
 
-    try {
-        const response = await fetch('/api/form-fields', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                apiKey: state.apiKey,
-                formId: form.id
-            })
-        });
+  const ruleSet = findActiveRuleSet(config.ruleSets, tzNow);
+  return ruleSet ? ruleSet.fields : null;
+}
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to load form fields');
-        }
+// Get the question text of a TITLE block (the block before an input in Tally)
+function getQuestionTitle(block) {
+  if (block.type !== 'TITLE' && block.type !== 'QUESTION') {
+    return null;
+  }
 
-        const data = await response.json();
-        state.dateFields = data.dateFields;
+  // Extract text from safeHTMLSchema which is typically [[["Question text"]]]
+  const htmlSchema = block.payload?.safeHTMLSchema;
+  if (htmlSchema && Array.isArray(htmlSchema) && htmlSchema.length > 0) {
+    const firstRow = htmlSchema[0];
+    if (Array.isArray(firstRow) && firstRow.length > 0) {
+      const firstCell = firstRow[0];
+      if (typeof firstCell === 'string') {
+        return firstCell.trim();
+      } else if (Array.isArray(firstCell) && firstCell.length > 0) {
+        return firstCell[0]?.trim();
+      }
+    }
+  }
 
-        // Load existing configuration for this form if available
-        if (form.configured && data.configuration) {
-            state.configurations = data.configuration.fields || {};
-        } else {
-            state.configurations = {};
-        }
+  return null;
+}
 
-        displayDateFields();
-        showFieldsSection();
+// Run updateFormDateLimits and record the run, or its error, in the form's history
+// Once updates fail FAILURE_EVENT_THRESHOLD times in a row, a form.update_failed event is sent.
+// Only the cron waits to retry Tally requests - other triggers answer a browser or webhook.
+async function runFormUpdate(config, env, trigger) {
+  let result;
+  try {
+    result = await updateFormDateLimits(config, env, { retry: trigger === 'cron' });
+  } catch (error) {
+    const history = await recordRun(config.formId, createRunEntry(trigger, null, error), env);
 
-    } catch (error) {
-        showError(error.message);
-    } finally {
-        showLoading(false);
+    const failures = countTrailingFailures(history);
+    if (failures === FAILURE_EVENT_THRESHOLD) {
+      emitEvent(config, 'form.update_failed', { failures, trigger, message: error.message }, env);
     }
+    throw error;
+  }
+
+  await recordRun(config.formId, createRunEntry(trigger, result), env);
+  return result;
+}
+
+// Add an entry to a form's run history, returning the updated history
+async function recordRun(formId, entry, env) {
+  const historyKey = `history:${await hashString(formId)}`;
+  const history = addRunEntry(await env.TALLYFORMS.get(historyKey, 'json'), entry);
+  await env.TALLYFORMS.put(historyKey, JSON.stringify(history));
+  return history;
+}
+
+// React to a failed cron update of a config or schedule ("source"), before the record
+// is stored again. A permanent Tally error (revoked API key, deleted form) disables the
+// record with the reason, so it stops failing every hour until it's saved again or
+// deleted. A transient error that came with a Retry-After beyond this run holds off the
+// record until then.
+async function handleUpdateFailure(record, error, env, source) {
+  if (error.permanent) {
+    console.warn(`Disabling ${source} of form ${record.formId}: ${error.message}`);
+    record.disabled = true;
+    record.disabledReason = error.message;
+    record.disabledAt = Date.now();
+    emitEvent(record, 'config.disabled', { source, reason: error.message, kind: error.kind }, env);
+    return;
+  }
+
+  if (error.retryAfter) {
+    record.retryAt = Date.now() + error.retryAfter * 1000;
+  }
+
+  console.error(`Failed to update ${source} of form ${record.formId}:`, error);
 }
 
-// Display date fields with configuration options
-function displayDateFields() {
-    const dateFieldsList = document.getElementById('dateFieldsList');
-    const selectedFormName = document.getElementById('selectedFormName');
+// Number of failed runs at the end of a run history
+function countTrailingFailures(history) {
+  let failures = 0;
+  for (let i = history.length - 1; i >= 0 && history[i].status === 'failed'; i--) {
+    failures++;
+  }
+  return failures;
+}
 
-    selectedFormName.textContent = state.selectedForm.name || 'Untitled Form';
-    dateFieldsList.innerHTML = '';
+// KV keys of the event webhooks that hear about a form: its own and its account's
+async function getEventWebhookKeys(config) {
+  return [
+    `webhooks:form:${await hashString(config.formId)}`,
+    `webhooks:account:${await hashString(config.apiKey)}`
+  ];
+}
 
-    if (state.dateFields.length === 0) {
-        dateFieldsList.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No date fields found in this form.</p>';
-        document.getElementById('saveConfigBtn').disabled = true;
-        return;
-    }
+// Send an event about a form to the webhooks subscribed to it. Deliveries run in the
+// background (waitUntil), side by side, and failed ones are queued for retry; an event
+// never holds up or fails the caller.
+function emitEvent(config, type, data, env) {
+  env.waitUntil(sendEvent(config, type, data, env));
+}
 
-    document.getElementById('saveConfigBtn').disabled = false;
+async function sendEvent(config, type, data, env) {
+  try {
+    const body = createEvent(type, config.formId, data);
 
-    state.dateFields.forEach(field => {
-        const existingConfig = state.configurations[field.uuid] || {};
-        const enabled = existingConfig.enabled !== false;
-        const minDays = existingConfig.minDays !== undefined ? existingConfig.minDays : '';
-        const maxDays = existingConfig.maxDays !== undefined ? existingConfig.maxDays : '';
+    await Promise.all((await getEventWebhookKeys(config)).map(async webhooksKey => {
+      const webhooks = await env.TALLYFORMS.get(webhooksKey, 'json') || [];
 
-        const fieldCard = document.createElement('div');
-        fieldCard.className = 'date-field-card';
-        if (!enabled) {
-            fieldCard.classList.add('disabled');
+      await Promise.all(webhooks.filter(candidate => candidate.events.includes(type)).map(async webhook => {
+        if (!(await deliverEvent(webhook, body))) {
+          await queueEventRetry(webhooksKey, webhook.id, body, 1, env);
         }
+      }));
+    }));
+  } catch (error) {
+    console.error(`Failed to send ${type} event for form ${config.formId}:`, error);
+  }
+}
 
-        fieldCard.innerHTML = \`
-            <div class="field-header">
-                <h3>\${escapeHtml(field.label || 'Date Field')}</h3>
-                <label class="toggle-switch">
-                    <input type="checkbox" data-field-id="\${field.uuid}" class="field-toggle" \${enabled ? 'checked' : ''}>
-                    <span class="toggle-slider"></span>
-                </label>
-            </div>
-            <div class="date-inputs">
-                <div class="date-input-group">
-                    <label>Earliest Date (days from today):</label>
-                    <input type="number"
-                           placeholder="e.g. -30, 0, or 30"
-                           value="\${minDays}"
-                           data-field-id="\${field.uuid}"
-                           data-type="min"
-                           class="days-input"
-                           \${!enabled ? 'disabled' : ''}>
-                    <small>Minimum selectable date. Negative = past (e.g. -30 = 30 days ago), Positive = future (e.g. 30 = 30 days from now). Leave blank for no limit.</small>
-                </div>
-                <div class="date-input-group">
-                    <label>Latest Date (days from today):</label>
-                    <input type="number"
-                           placeholder="e.g. 0, 365, or -30"
-                           value="\${maxDays}"
-                           data-field-id="\${field.uuid}"
-                           data-type="max"
-                           class="days-input"
-                           \${!enabled ? 'disabled' : ''}>
-                    <small>Maximum selectable date. Negative = past (e.g. -30 = 30 days ago), Positive = future (e.g. 365 = 1 year from now). Leave blank for no limit.</small>
-                </div>
-            </div>
-        \`;
-
-        dateFieldsList.appendChild(fieldCard);
-    });
+// Queue a failed delivery as webhook-retry:{id}, due after the backoff for "attempt"
+// failed attempts. The due time is kept in the key's metadata, so the cron can skip
+// deliveries that aren't due without reading them.
+async function queueEventRetry(webhooksKey, webhookId, body, attempt, env) {
+  const retryAt = nextRetryAt(attempt);
+  if (!retryAt) {
+    console.warn(`Giving up on event delivery to webhook ${webhookId} after ${attempt} attempts`);
+    return;
+  }
 
-    // Attach toggle listeners
-    document.querySelectorAll('.field-toggle').forEach(toggle => {
-        toggle.addEventListener('change', handleFieldToggle);
-    });
+  await env.TALLYFORMS.put(
+    `webhook-retry:${crypto.randomUUID()}`,
+    JSON.stringify({ webhooksKey, webhookId, body, attempt }),
+    { metadata: { retryAt }, expirationTtl: 172800 } // 2 days
+  );
 }
 
-// Handle field enable/disable toggle
-function handleFieldToggle(e) {
-    const fieldId = e.target.dataset.fieldId;
-    const enabled = e.target.checked;
+// Retry the queued event deliveries that are due
+async function runEventRetries(env) {
+  const list = await env.TALLYFORMS.list({ prefix: 'webhook-retry:' });
 
-    if (!state.configurations[fieldId]) {
-        state.configurations[fieldId] = {};
+  for (const key of list.keys) {
+    if (!key.metadata?.retryAt || key.metadata.retryAt > Date.now()) {
+      continue;
     }
-    state.configurations[fieldId].enabled = enabled;
 
-    // Enable/disable inputs
-    const fieldCard = e.target.closest('.date-field-card');
-    const inputs = fieldCard.querySelectorAll('.days-input');
+    try {
+      const retry = await env.TALLYFORMS.get(key.name, { type: 'json' });
+      await env.TALLYFORMS.delete(key.name);
+      if (!retry) {
+        continue;
+      }
 
-    inputs.forEach(input => {
-        input.disabled = !enabled;
-    });
+      // Deliveries to webhooks that were removed in the meantime are dropped
+      const webhooks = await env.TALLYFORMS.get(retry.webhooksKey, 'json') || [];
+      const webhook = webhooks.find(candidate => candidate.id === retry.webhookId);
 
-    if (enabled) {
-        fieldCard.classList.remove('disabled');
-    } else {
-        fieldCard.classList.add('disabled');
+      if (webhook && !(await deliverEvent(webhook, retry.body))) {
+        await queueEventRetry(retry.webhooksKey, retry.webhookId, retry.body, retry.attempt + 1, env);
+      }
+    } catch (error) {
+      console.error(`Error retrying event delivery ${key.name}:`, error);
     }
+  }
 }
 
-// Save configuration
-async function saveConfiguration() {
-    // Gather all configurations
-    document.querySelectorAll('.days-input').forEach(input => {
-        const fieldId = input.dataset.fieldId;
-        const type = input.dataset.type;
-        const value = input.value === '' ? null : parseInt(input.value);
+// Update form date limits via Tally API
+// This function is surgical: it fetches the latest form state immediately before
+// patching to minimize conflicts with concurrent edits, only modifies date fields
+// we're managing (and text holding template tokens), and only sends the PATCH if
+// values actually changed.
+// Returns what changed: { modified, fields: [{ uuid, type, label, current, next, changed }],
+// templatesChanged }. With "dryRun" nothing is sent or stored - the preview uses this.
+// "retry" lets Tally requests wait and retry (see tally-api.js).
+async function updateFormDateLimits(config, env, { dryRun = false, retry = false } = {}) {
+  try {
+    // Calculate date limits based on timezone
+    const tzNow = getZonedNow(config.timezone);
+
+    // Pick the seasonal rule set for today - leave the form alone when none is active
+    const fields = getActiveFields(config, tzNow);
+    if (!fields) {
+      console.log(`No rule set active today for form ${config.formId} - leaving date fields unchanged`);
+      return { modified: false, fields: [], templatesChanged: false, skipped: 'No rule set is active today' };
+    }
+
+    // Fetch current form structure (gets latest state to minimize conflict window)
+    const form = await fetchForm(config.apiKey, config.formId, { retry });
+
+    if (form.blocks.length === 0) {
+      return { modified: false, fields: [], templatesChanged: false };
+    }
+
+    // Blocks and limits before this run, for the snapshot history and to record
+    // what the form had before we managed it
+    const fetchedBlocks = JSON.parse(JSON.stringify(form.blocks));
+    const limitsSnapshot = snapshotLimits(form.blocks);
+
+    // Load the holiday calendar so boundaries can be moved off closed days
+    const holidayList = config.holidayListId
+      ? await loadHolidayList(config.apiKey, config.holidayListId, env)
+      : null;
+    if (config.holidayListId && !holidayList) {
+      console.warn(`Holiday calendar ${config.holidayListId} not found for form ${config.formId}`);
+    }
+    const context = { isHoliday: createHolidayChecker(holidayList) };
+
+    // Per-date submission counts for fields with a capacity
+    const configId = await hashString(config.formId);
+    const capacity = Object.values(fields).some(fieldConfig => fieldConfig?.capacity)
+      ? await getCapacityCounter(configId, env).read(configId)
+      : null;
+
+    // While the submission cap is reached, no date can be chosen. What the collapse
+    // replaces is kept in collapsed:{hash(formId)} = { uuid: { afterDate, beforeDate } }
+    // for date fields and { groupUuid: { template, afterUuid } } for choice questions,
+    // so it can be put back once the cap no longer applies.
+    const collapsing = config.capReached && config.submissionCap?.action === 'collapse';
+    const collapsedKey = `collapsed:${await hashString(config.formId)}`;
+    const storedCollapsed = await env.TALLYFORMS.get(collapsedKey, 'json') || {};
+    const collapsed = { ...storedCollapsed };
+
+    let blocksModified = false;
+    const fieldChanges = [];
+
+    // Date fields are processed in dependency order, so a linked field counts from the
+    // window just written to the field it's based on
+    const dateBlocks = new Map(form.blocks.filter(block => block.type === 'INPUT_DATE').map(block => [block.uuid, block]));
+    const fieldOrder = (orderLinkedFields(fields) || []).filter(uuid => dateBlocks.has(uuid));
+    const orderedDateBlocks = [
+      ...fieldOrder.map(uuid => dateBlocks.get(uuid)),
+      ...[...dateBlocks.values()].filter(block => !fieldOrder.includes(block.uuid))
+    ];
+
+    // Update date field blocks - only touch fields we're actively managing with configured values
+    orderedDateBlocks.forEach(block => {
+      if (block.type === 'INPUT_DATE') {
+        const fieldConfig = fields[block.uuid];
+
+        // Skip if disabled or no limits configured (user will handle manually)
+        if (!fieldConfig || !fieldConfig.enabled) {
+          console.log(`Skipping field ${block.uuid} - disabled or not configured`);
+          return;
+        }
+
+        // Skip if no date limits configured (both blank)
+        if (!hasDateLimits(fieldConfig)) {
+          console.log(`Skipping field ${block.uuid} - no date limits configured`);
+          return;
+        }
+
+        // Get a display label for logging
+        const displayLabel = block.payload?.label?.trim()
+          || block.payload?.title?.trim()
+          || block.payload?.text?.trim()
+          || block.payload?.question?.trim()
+          || block.label?.trim()
+          || block.uuid.substring(0, 8);
+
+        // A field can follow its own timezone instead of the form's
+        const fieldNow = fieldConfig.timezone ? getZonedNow(fieldConfig.timezone) : tzNow;
+
+        console.log(`Processing date field "${displayLabel}" (${block.uuid}):`, {
+          minDays: fieldConfig.minDays,
+          maxDays: fieldConfig.maxDays,
+          unit: fieldConfig.unit || 'calendar',
+          cutoffHour: fieldConfig.cutoffHour ?? null,
+          baseField: fieldConfig.baseField ?? null,
+          timezone: fieldConfig.timezone || config.timezone,
+          minRule: describeBoundary(fieldConfig, 'min', fieldNow),
+          maxRule: describeBoundary(fieldConfig, 'max', fieldNow),
+          currentBeforeDate: block.payload?.beforeDate,
+          currentAfterDate: block.payload?.afterDate
+        });
+
+        if (!block.payload) {
+          block.payload = {};
+        }
+
+        let fieldModified = false;
+        const currentLimits = { afterDate: block.payload.afterDate ?? null, beforeDate: block.payload.beforeDate ?? null };
+
+        // A linked field counts from the base field's current window (whether or not it's managed)
+        const baseBlock = fieldConfig.baseField ? dateBlocks.get(fieldConfig.baseField) : null;
+        const baseLimits = baseBlock && {
+          minDate: baseBlock.payload?.afterDate ? parseDate(baseBlock.payload.afterDate) : null,
+          maxDate: baseBlock.payload?.beforeDate ? parseDate(baseBlock.payload.beforeDate) : null
+        };
+
+        let { minDate, maxDate } = computeFieldLimits(fieldNow, fieldConfig, { ...context, baseLimits });
+
+        // Dates that reached their capacity can't be chosen anymore
+        if (minDate && fieldConfig.capacity) {
+          minDate = skipFullDates(minDate, maxDate, date => isDateFull(capacity, block.uuid, date, fieldConfig.capacity));
+        }
+
+        // Once the form's submission cap is reached no date can be chosen:
+        // the earliest date is tomorrow and the latest date is yesterday
+        const collapsedLimits = collapsed[block.uuid];
+        if (collapsing) {
+          console.log(`Submission cap reached - collapsing the date window of field ${block.uuid}`);
+          minDate = new Date(fieldNow.getFullYear(), fieldNow.getMonth(), fieldNow.getDate() + 1);
+          maxDate = new Date(fieldNow.getFullYear(), fieldNow.getMonth(), fieldNow.getDate() - 1);
+          collapsed[block.uuid] = collapsedLimits || currentLimits;
+        } else if (collapsedLimits) {
+          // The collapse set both limits - put back the ones the field doesn't manage
+          for (const [key, date] of [['afterDate', minDate], ['beforeDate', maxDate]]) {
+            if (date || (block.payload[key] ?? null) === collapsedLimits[key]) {
+              continue;
+            }
+            if (collapsedLimits[key] === null) {
+              delete block.payload[key];
+            } else {
+              block.payload[key] = collapsedLimits[key];
+            }
+            console.log(`Restoring ${key} of field ${block.uuid} to ${collapsedLimits[key]} - the submission cap no longer applies`);
+            fieldModified = true;
+          }
+          delete collapsed[block.uuid];
+        }
+
+        if (minDate && maxDate && minDate > maxDate && !config.capReached) {
+          console.warn(`Field ${block.uuid} has an empty date window (${formatDate(minDate)} is after ${formatDate(maxDate)})`);
+        }
+
+        // Calculate minimum date (earliest selectable) - Tally uses "afterDate"
+        if (minDate) {
+          const formattedMinDate = formatDate(minDate);
+
+          // Only update if the value actually changed
+          if (block.payload.afterDate !== formattedMinDate) {
+            block.payload.afterDate = formattedMinDate;
+            console.log(`Setting afterDate to ${formattedMinDate} (${describeBoundary(fieldConfig, 'min', fieldNow)})`);
+            fieldModified = true;
+          }
+        }
+
+        // Calculate maximum date (latest selectable) - Tally uses "beforeDate"
+        if (maxDate) {
+          const formattedMaxDate = formatDate(maxDate);
 
-        if (!state.configurations[fieldId]) {
-            state.configurations[fieldId] = { enabled: true };
+          // Only update if the value actually changed
+          if (block.payload.beforeDate !== formattedMaxDate) {
+            block.payload.beforeDate = formattedMaxDate;
+            console.log(`Setting beforeDate to ${formattedMaxDate} (${describeBoundary(fieldConfig, 'max', fieldNow)})`);
+            fieldModified = true;
+          }
         }
 
-        if (type === 'min') {
-            state.configurations[fieldId].minDays = value;
+        if (fieldModified) {
+          console.log(`Updated payload:`, JSON.stringify(block.payload));
+          blocksModified = true;
         } else {
-            state.configurations[fieldId].maxDays = value;
+          console.log(`No changes needed for field ${block.uuid}`);
         }
+
+        fieldChanges.push({
+          uuid: block.uuid,
+          type: 'date',
+          label: displayLabel,
+          current: currentLimits,
+          next: { afterDate: block.payload.afterDate ?? null, beforeDate: block.payload.beforeDate ?? null },
+          changed: fieldModified
+        });
+      }
     });
 
-    // Check if at least one field is enabled with limits
-    const hasActiveConfig = Object.values(state.configurations).some(config =>
-        config.enabled && (config.minDays !== null || config.maxDays !== null)
-    );
+    // Update number fields whose range follows the current year
+    form.blocks.forEach(block => {
+      const fieldConfig = fields[block.uuid];
+      if (block.type !== 'INPUT_NUMBER' || fieldConfig?.type !== 'number' || !isManagedField(fieldConfig)) {
+        return;
+      }
+
+      if (!block.payload) {
+        block.payload = {};
+      }
 
-    showLoading(true);
-    hideError();
+      const { min, max } = computeNumberLimits(fieldConfig.timezone ? getZonedNow(fieldConfig.timezone) : tzNow, fieldConfig);
+      const currentRange = numberRange(block.payload);
 
-    try {
-        const response = await fetch('/api/save-config', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                apiKey: state.apiKey,
-                formId: state.selectedForm.id,
-                timezone: state.timezone,
-                fields: state.configurations
-            })
-        });
+      if (min !== null && (!block.payload.hasMinNumber || block.payload.minNumber !== min)) {
+        block.payload.hasMinNumber = true;
+        block.payload.minNumber = min;
+        console.log(`Setting minNumber of field ${block.uuid} to ${min}`);
+        blocksModified = true;
+      }
+
+      if (max !== null && (!block.payload.hasMaxNumber || block.payload.maxNumber !== max)) {
+        block.payload.hasMaxNumber = true;
+        block.payload.maxNumber = max;
+        console.log(`Setting maxNumber of field ${block.uuid} to ${max}`);
+        blocksModified = true;
+      }
+
+      const nextRange = numberRange(block.payload);
+      fieldChanges.push({
+        uuid: block.uuid,
+        type: 'number',
+        label: block.payload.label || block.uuid.substring(0, 8),
+        current: currentRange,
+        next: nextRange,
+        changed: JSON.stringify(currentRange) !== JSON.stringify(nextRange)
+      });
+    });
+
+    // Regenerate the options of managed choice questions (past dates drop off)
+    for (const [groupUuid, fieldConfig] of Object.entries(fields)) {
+      if (fieldConfig?.type !== 'choices' || !fieldConfig.enabled) {
+        continue;
+      }
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to save configuration');
+      let labels = [];
+      if (collapsing) {
+        // Remove every option, keeping one to rebuild them from when the cap no longer applies
+        console.log(`Submission cap reached - removing the options of choice field ${groupUuid}`);
+        collapsed[groupUuid] = collapsed[groupUuid] || choiceOptionTemplate(form.blocks, groupUuid);
+        if (!collapsed[groupUuid]) {
+          delete collapsed[groupUuid];
+          continue;
         }
+      } else {
+        const fieldNow = fieldConfig.timezone ? getZonedNow(fieldConfig.timezone) : tzNow;
+        const options = generateChoiceOptions(fieldNow, fieldConfig, {
+          ...context,
+          isFull: date => isDateFull(capacity, groupUuid, date, fieldConfig.capacity)
+        });
+        labels = options.map(option => option.label);
+        if (labels.length === 0) {
+          console.warn(`No dates match the choice rule for ${groupUuid} - leaving its options unchanged`);
+          continue;
+        }
+      }
 
-        showSuccessSection();
+      const currentOptions = form.blocks
+        .filter(block => block.groupUuid === groupUuid && isChoiceOption(block))
+        .map(block => block.payload?.text);
+      const optionsChanged = replaceChoiceOptions(form.blocks, groupUuid, labels, collapsed[groupUuid]);
+      if (!collapsing) {
+        delete collapsed[groupUuid];
+      }
 
-    } catch (error) {
-        showError(error.message);
-    } finally {
-        showLoading(false);
+      if (optionsChanged) {
+        console.log(`Updated options of choice field ${groupUuid}:`, labels.join(' | '));
+        blocksModified = true;
+      }
+
+      if (currentOptions.length > 0 || optionsChanged) {
+        fieldChanges.push({
+          uuid: groupUuid,
+          type: 'choices',
+          label: groupUuid.substring(0, 8),
+          current: { options: currentOptions },
+          next: { options: labels },
+          changed: optionsChanged
+        });
+      }
     }
-}
 
-// Load saved configuration on page load
-async function loadSavedConfiguration() {
-    const savedApiKey = localStorage.getItem('tallyApiKey');
-    if (savedApiKey) {
-        document.getElementById('apiKey').value = savedApiKey;
+    // Re-render template tokens in text blocks and placeholders from the new date window
+    const templatesKey = `templates:${await hashString(config.formId)}`;
+    const storedTemplates = await env.TALLYFORMS.get(templatesKey, 'json') || {};
+    const { modified: templatesModified, templates } = applyTemplates(form.blocks, storedTemplates, tzNow);
+
+    if (templatesModified) {
+      console.log(`Re-rendered template text for form ${config.formId}`);
+      blocksModified = true;
     }
-}
 
-// UI Helper functions
-function showFormsSection() {
-    document.getElementById('formsSection').classList.remove('hidden');
-    document.getElementById('fieldsSection').classList.add('hidden');
-    document.getElementById('successSection').classList.add('hidden');
+    if (dryRun) {
+      console.log(`Dry run for form ${config.formId} - ${blocksModified ? 'changes' : 'no changes'} not sent`);
+    } else if (blocksModified) {
+      await patchFormBlocks(config, fetchedBlocks, form.blocks, env, 'update', { retry });
+
+      emitEvent(config, 'form.updated', {
+        changes: fieldChanges.filter(field => field.changed),
+        templatesChanged: templatesModified
+      }, env);
+
+      // Remember the limits of fields we changed for the first time
+      const originalsKey = `originals:${await hashString(config.formId)}`;
+      const originals = await env.TALLYFORMS.get(originalsKey, 'json') || {};
+      if (recordOriginalLimits(originals, limitsSnapshot, form.blocks)) {
+        await env.TALLYFORMS.put(originalsKey, JSON.stringify(originals));
+      }
+    } else {
+      console.log(`No changes needed for form ${config.formId} - dates are already up to date`);
+    }
+
+    // Keep what the collapse replaced until the cap no longer applies
+    if (!dryRun && JSON.stringify(collapsed) !== JSON.stringify(storedCollapsed)) {
+      if (Object.keys(collapsed).length > 0) {
+        await env.TALLYFORMS.put(collapsedKey, JSON.stringify(collapsed));
+      } else {
+        await env.TALLYFORMS.delete(collapsedKey);
+      }
+    }
+
+    // Keep the original templates so the next run renders from them, not from rendered text
+    if (!dryRun && JSON.stringify(templates) !== JSON.stringify(storedTemplates)) {
+      if (Object.keys(templates).length > 0) {
+        await env.TALLYFORMS.put(templatesKey, JSON.stringify(templates));
+      } else {
+        await env.TALLYFORMS.delete(templatesKey);
+      }
+    }
+
+    return { modified: blocksModified, fields: fieldChanges, templatesChanged: templatesModified };
+
+  } catch (error) {
+    console.error('Error updating form date limits:', error);
+    throw error;
+  }
 }
 
-function showFieldsSection() {
-    document.getElementById('formsSection').classList.add('hidden');
-    document.getElementById('fieldsSection').classList.remove('hidden');
-    document.getElementById('successSection').classList.add('hidden');
+// Min and max of a number field's payload, null when not set
+function numberRange(payload) {
+  return {
+    minNumber: payload.hasMinNumber ? payload.minNumber ?? null : null,
+    maxNumber: payload.hasMaxNumber ? payload.maxNumber ?? null : null
+  };
 }
 
-function showSuccessSection() {
-    document.getElementById('formsSection').classList.add('hidden');
-    document.getElementById('fieldsSection').classList.add('hidden');
-    document.getElementById('successSection').classList.remove('hidden');
+// Compare a form's completed submissions with its cap and record whether it's reached.
+// While the cap is reached, updateFormDateLimits collapses the date windows ("collapse")
+// or the form is closed ("close"). When the cap is raised or removed, the windows come
+// back on the next update and a form closed because of the cap is reopened.
+async function applySubmissionCap(config, { retry = false } = {}) {
+  if (!config.submissionCap && !config.capReached) {
+    return;
+  }
+
+  const submissionCount = config.submissionCap ? await fetchSubmissionCount(config, { retry }) : 0;
+  const capReached = !!config.submissionCap && submissionCount >= config.submissionCap.limit;
+
+  if (capReached) {
+    console.log(`Form ${config.formId} reached its submission cap (${submissionCount}/${config.submissionCap.limit})`);
+  }
+
+  if (capReached && config.submissionCap.action === 'close' && !config.capClosedForm) {
+    await updateFormOpenState(config, 'closed', { retry });
+    config.capClosedForm = true;
+  }
+
+  if ((!capReached || config.submissionCap.action !== 'close') && config.capClosedForm) {
+    console.log(`Reopening form ${config.formId} - its submission cap is no longer reached`);
+    await updateFormOpenState(config, 'open', { retry });
+    config.capClosedForm = false;
+  }
+
+  config.capReached = capReached;
+}
 
-    // Save API key for convenience
-    localStorage.setItem('tallyApiKey', state.apiKey);
+// Fetch a form with its blocks via Tally API
+async function fetchForm(apiKey, formId, { retry = false } = {}) {
+  const formData = await tallyRequest(apiKey, `/forms/${formId}`, { retry });
+  const form = formData.data || formData;
+  form.blocks = Array.isArray(form.blocks) ? form.blocks : [];
+  return form;
 }
 
-function resetToStart() {
-    state.selectedForm = null;
-    state.dateFields = [];
-    state.configurations = {};
+// Replace a form's blocks via Tally API, first adding the blocks it had ("previousBlocks")
+// to the form's snapshot history
+async function patchFormBlocks(config, previousBlocks, blocks, env, reason, { retry = false } = {}) {
+  const snapshotsKey = `snapshots:${await hashString(config.formId)}`;
+  const history = await env.TALLYFORMS.get(snapshotsKey, 'json');
+  await env.TALLYFORMS.put(snapshotsKey, JSON.stringify(addSnapshot(history, previousBlocks, reason)));
 
-    // Go back to the forms list (no need to reload)
-    showFormsSection();
+  const patchPayload = { blocks };
+  console.log(`Sending PATCH request to Tally for form ${config.formId}`);
+  console.log(`PATCH payload (first 2 blocks):`, JSON.stringify(patchPayload.blocks.slice(0, 2), null, 2));
+
+  const responseData = await tallyRequest(config.apiKey, `/forms/${config.formId}`, {
+    method: 'PATCH',
+    body: patchPayload,
+    retry
+  });
+  console.log(`Successfully updated form ${config.formId}. Response:`, JSON.stringify(responseData, null, 2));
 }
 
-function showLoading(show) {
-    const indicator = document.getElementById('loadingIndicator');
-    if (show) {
-        indicator.classList.remove('hidden');
-    } else {
-        indicator.classList.add('hidden');
+// Check that an API key can access a form before a config or schedule is saved for it,
+// returning an error message or null. A form that's managed with another API key can
+// only be taken over by a key that has access to the form as well.
+async function checkFormAccess(apiKey, formId, existingRecord) {
+  try {
+    await tallyRequest(apiKey, `/forms/${formId}`);
+    return null;
+  } catch (error) {
+    if (error.kind !== 'unauthorized' && error.kind !== 'not_found') {
+      throw error;
     }
+  }
+
+  if (existingRecord && existingRecord.apiKey !== apiKey) {
+    return 'This form is managed by a different Tally account, and this API key has no access to it';
+  }
+
+  return 'This API key has no access to this form';
+}
+
+// Get the number of completed submissions of a form via Tally API
+async function fetchSubmissionCount(config, { retry = false } = {}) {
+  const data = await tallyRequest(config.apiKey, `/forms/${config.formId}/submissions?filter=completed&limit=1`, { retry });
+  const totals = data.totalNumberOfSubmissionsPerFilter || {};
+  return totals.completed ?? totals.all ?? 0;
 }
 
-function showError(message) {
-    hideError();
+// Open or close a form via Tally API ("open" or "closed")
+// Only sends the PATCH if the form isn't already in that state.
+async function updateFormOpenState(schedule, scheduledState, { retry = false } = {}) {
+  const form = await fetchForm(schedule.apiKey, schedule.formId, { retry });
+  const isClosed = scheduledState === 'closed';
 
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'error-message';
-    errorDiv.textContent = message;
-    errorDiv.id = 'errorMessage';
+  if (!!form.settings?.isClosed === isClosed) {
+    console.log(`Form ${schedule.formId} is already ${scheduledState}`);
+    return;
+  }
 
-    const activeSection = document.querySelector('.input-section:not(.hidden), .forms-section:not(.hidden), .fields-section:not(.hidden)');
-    if (activeSection) {
-        activeSection.appendChild(errorDiv);
-    }
+  await tallyRequest(schedule.apiKey, `/forms/${schedule.formId}`, {
+    method: 'PATCH',
+    body: { settings: { ...form.settings, isClosed } },
+    retry
+  });
+
+  console.log(`Form ${schedule.formId} is now ${scheduledState}`);
 }
 
-function hideError() {
-    const errorMessage = document.getElementById('errorMessage');
-    if (errorMessage) {
-        errorMessage.remove();
-    }
+// Check if form should be updated now based on timezone
+// The form is updated once per local hour of every timezone it uses (the config's and any
+// per-field overrides), so a field in another timezone gets updated as soon as its own
+// midnight or cutoff hour passes.
+async function shouldUpdateNow(config, env) {
+  // If disabled, don't update
+  if (config.disabled) {
+    return false;
+  }
+
+  // Current local date and hour in each timezone
+  const currentHours = {};
+  for (const timezone of getConfigTimezones(config)) {
+    const tzTime = getZonedNow(timezone);
+    currentHours[timezone] = `${formatDate(tzTime)} ${tzTime.getHours()}`;
+  }
+
+  // Check metadata for the last update hour in each timezone
+  const metadataKey = `metadata:${await hashString(config.formId)}`;
+  const metadata = await env.TALLYFORMS.get(metadataKey, { type: 'json' });
+  const lastUpdates = metadata?.lastUpdates || {};
+
+  // If we already updated at this hour in every timezone, skip
+  if (Object.entries(currentHours).every(([timezone, hour]) => lastUpdates[timezone] === hour)) {
+    return false;
+  }
+
+  // Update metadata
+  await env.TALLYFORMS.put(metadataKey, JSON.stringify({
+    lastUpdates: currentHours,
+    timezone: config.timezone
+  }), {
+    expirationTtl: 86400 // 1 day
+  });
+
+  return true;
 }
 
-function escapeHtml(text) {
-    const map = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, m => map[m]);
-}`
-  };
+// Every timezone a config uses: its own and the per-field overrides, in all rule sets
+function getConfigTimezones(config) {
+  const fieldSets = [config.fields || {}, ...(config.ruleSets || []).map(ruleSet => ruleSet.fields || {})];
+  const fieldTimezones = fieldSets.flatMap(fields => Object.values(fields).map(fieldConfig => fieldConfig?.timezone));
 
-  const content = files[filename];
+  return [...new Set([config.timezone, ...fieldTimezones].filter(Boolean))];
+}
 
-  if (!content) {
-    return new Response('Not found', { status: 404 });
+// Rate limiting functions
+async function checkRateLimit(ip, env) {
+  const rateLimitKey = `ratelimit:${CACHE_VERSION}:${ip}`;
+  const count = await env.TALLYFORMS.get(rateLimitKey);
+
+  if (!count) {
+    return true;
   }
 
-  return new Response(content, {
+  return parseInt(count) < 5;
+}
+
+async function incrementRateLimit(ip, env) {
+  const rateLimitKey = `ratelimit:${CACHE_VERSION}:${ip}`;
+  const count = await env.TALLYFORMS.get(rateLimitKey);
+
+  const currentCount = count ? parseInt(count) : 0;
+
+  if (currentCount >= 5) {
+    throw new Error('Rate limit exceeded. You can only configure 5 forms per day.');
+  }
+
+  const newCount = currentCount + 1;
+
+  // Set TTL to expire at end of day (86400 seconds = 24 hours)
+  await env.TALLYFORMS.put(rateLimitKey, newCount.toString(), {
+    expirationTtl: 86400
+  });
+
+  console.log(`Rate limit for ${ip} (cache: ${CACHE_VERSION}): ${newCount}/5`);
+}
+
+// Utility functions
+async function hashString(str) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(str);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function jsonResponse(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
     headers: {
-      'Content-Type': contentType,
-      'Cache-Control': 'public, max-age=3600'
+      'Content-Type': 'application/json',
+      ...extraHeaders
     }
   });
 }
+
+// Response for an error a handler didn't expect: 429 or 503 with Tally's Retry-After
+// while Tally throttles requests or is failing, 500 otherwise
+function errorResponse(error, corsHeaders) {
+  const status = tallyErrorStatus(error);
+  if (!status) {
+    return jsonResponse({ error: error.message }, 500, corsHeaders);
+  }
+
+  const headers = error.retryAfter ? { ...corsHeaders, 'Retry-After': String(error.retryAfter) } : corsHeaders;
+  return jsonResponse({ error: error.message, retryAfter: error.retryAfter }, status, headers);
+}
+
+// Serve static files from the public directory, through the ASSETS binding in wrangler.json
+function serveFile(request, env) {
+  return env.ASSETS.fetch(request);
+}
@@ -0,0 +1,46 @@
+// Rules for INPUT_NUMBER fields whose valid range moves with the calendar
+// A number rule is stored in the config's fields under the block UUID as
+// { type: 'number', enabled, minYearOffset, maxYearOffset }, e.g. -100 and -18 for a
+// birth year: min = current year - 100, max = current year - 18.
+
+const BOUNDARY_KEYS = {
+  min: 'minYearOffset',
+  max: 'maxYearOffset'
+};
+
+// Validate a number rule, returning an error message or null
+export function validateNumberRules(fieldConfig) {
+  for (const key of Object.values(BOUNDARY_KEYS)) {
+    if (isSet(fieldConfig[key]) && !Number.isInteger(fieldConfig[key])) {
+      return `${key} must be a whole number`;
+    }
+  }
+
+  if (isSet(fieldConfig.minYearOffset) && isSet(fieldConfig.maxYearOffset)
+    && fieldConfig.minYearOffset > fieldConfig.maxYearOffset) {
+    return 'minYearOffset must not be greater than maxYearOffset';
+  }
+
+  return null;
+}
+
+// Check if a number rule sets any limit
+export function hasNumberLimits(fieldConfig) {
+  return Object.values(BOUNDARY_KEYS).some(key => isSet(fieldConfig[key]));
+}
+
+// Compute the min and max of a number field for the wall clock time "now"
+// in the config's timezone. Boundaries without a rule are null.
+export function computeNumberLimits(now, fieldConfig) {
+  const year = now.getFullYear();
+  const limit = key => isSet(fieldConfig[key]) ? year + fieldConfig[key] : null;
+
+  return {
+    min: limit(BOUNDARY_KEYS.min),
+    max: limit(BOUNDARY_KEYS.max)
+  };
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
@@ -0,0 +1,83 @@
+// The limits a form had before the worker started managing it
+// The first time a field is changed, its previous limits are recorded in KV as
+// originals:{hash(formId)} = { uuid: { kind, values } }, so they can be put back when
+// the form's config is deleted. Choice questions are recorded under their groupUuid.
+
+import { isChoiceOption, replaceChoiceOptions } from './choices.js';
+
+// Payload keys that hold the limits of each kind of field
+const LIMIT_KEYS = {
+  INPUT_DATE: ['afterDate', 'beforeDate'],
+  INPUT_NUMBER: ['hasMinNumber', 'minNumber', 'hasMaxNumber', 'maxNumber']
+};
+
+// Current limits of every date and number field, and the option labels of every choice question
+export function snapshotLimits(blocks) {
+  const snapshot = {};
+
+  for (const block of blocks) {
+    if (LIMIT_KEYS[block.type]) {
+      const values = {};
+      for (const key of LIMIT_KEYS[block.type]) {
+        values[key] = block.payload?.[key] ?? null;
+      }
+      snapshot[block.uuid] = { kind: block.type, values };
+    } else if (isChoiceOption(block) && block.groupUuid) {
+      const entry = snapshot[block.groupUuid] = snapshot[block.groupUuid] || { kind: 'choices', values: { labels: [] } };
+      entry.values.labels.push(block.payload?.text ?? '');
+    }
+  }
+
+  return snapshot;
+}
+
+// Add the snapshot entries of fields that changed since the snapshot and have no
+// original recorded yet. Returns true when anything was added.
+export function recordOriginalLimits(originals, snapshot, blocks) {
+  const current = snapshotLimits(blocks);
+  let added = false;
+
+  for (const [uuid, entry] of Object.entries(snapshot)) {
+    if (originals[uuid] || JSON.stringify(current[uuid]) === JSON.stringify(entry)) {
+      continue;
+    }
+    originals[uuid] = entry;
+    added = true;
+  }
+
+  return added;
+}
+
+// Put the recorded limits back on the form's blocks, in place. "collapsed" holds the
+// option templates of choice questions a submission cap left without options.
+// Returns true when any block changed.
+export function restoreOriginalLimits(blocks, originals, collapsed = {}) {
+  let modified = false;
+
+  for (const [uuid, { kind, values }] of Object.entries(originals)) {
+    if (kind === 'choices') {
+      modified = replaceChoiceOptions(blocks, uuid, values.labels, collapsed[uuid]) || modified;
+      continue;
+    }
+
+    const block = blocks.find(candidate => candidate.uuid === uuid && candidate.type === kind);
+    if (!block) {
+      continue;
+    }
+
+    block.payload = block.payload || {};
+    for (const [key, value] of Object.entries(values)) {
+      if ((block.payload[key] ?? null) === value) {
+        continue;
+      }
+      if (value === null) {
+        delete block.payload[key];
+      } else {
+        block.payload[key] = value;
+      }
+      modified = true;
+    }
+  }
+
+  return modified;
+}
@@ -0,0 +1,54 @@
+// Per-form history of update runs, so a form with wrong dates can be traced back
+// Stored in KV as history:{hash(formId)} = [entry], oldest first, where an entry is
+// { at, trigger, status, changes: [{ uuid, type, label, from, to }], templatesChanged, message }
+// with status "updated", "unchanged", "skipped" or "failed" - message says why for the last two.
+// Consecutive cron runs that changed nothing are kept as one entry with a run count.
+
+// How long entries are kept, and the most kept per form
+export const RETENTION_DAYS = 30;
+export const MAX_RUN_ENTRIES = 500;
+
+// Build a history entry from the result of updateFormDateLimits, or from the error it threw.
+// "trigger" is what started the run: cron, save, webhook, adjust-capacity or delete.
+export function createRunEntry(trigger, result, error = null) {
+  if (error) {
+    return { at: Date.now(), trigger, status: 'failed', changes: [], templatesChanged: false, message: error.message };
+  }
+
+  const changes = (result?.fields || [])
+    .filter(field => field.changed)
+    .map(field => ({ uuid: field.uuid, type: field.type, label: field.label, from: field.current, to: field.next }));
+
+  let status = result?.modified ? 'updated' : 'unchanged';
+  if (result?.skipped) {
+    status = 'skipped';
+  }
+
+  return {
+    at: Date.now(),
+    trigger,
+    status,
+    changes,
+    templatesChanged: result?.templatesChanged || false,
+    message: result?.skipped || null
+  };
+}
+
+// Add an entry to a form's history and drop entries past the retention limits
+export function addRunEntry(history, entry) {
+  const entries = [...(history || [])];
+  const last = entries[entries.length - 1];
+
+  if (last && isQuietCronRun(last) && isQuietCronRun(entry)) {
+    entries[entries.length - 1] = { ...last, at: entry.at, firstAt: last.firstAt || last.at, runs: (last.runs || 1) + 1 };
+  } else {
+    entries.push(entry);
+  }
+
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return entries.filter(candidate => candidate.at >= cutoff).slice(-MAX_RUN_ENTRIES);
+}
+
+function isQuietCronRun(entry) {
+  return entry.trigger === 'cron' && entry.status === 'unchanged' && !entry.templatesChanged;
+}
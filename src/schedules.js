@@ -0,0 +1,95 @@
+// Open/close schedules for whole Tally forms
+// A schedule is stored in KV as { apiKey, formId, timezone, events, closeForeverAt, lastAppliedState }.
+// Events are weekly ({ action, weekday, hour }) or one-off ({ action, date, hour }) and
+// the form's scheduled state is the action of the most recent event that has passed.
+
+import { isValidDateString, parseDate } from './date-rules.js';
+
+export const SCHEDULE_ACTIONS = ['open', 'close'];
+
+// Validate a schedule's events and final close time, returning an error message or null
+export function validateSchedule(events, closeForeverAt) {
+  if (!Array.isArray(events)) {
+    return 'Schedule events must be a list';
+  }
+
+  for (const event of events) {
+    if (!event || !SCHEDULE_ACTIONS.includes(event.action)) {
+      return `Schedule event action must be one of ${SCHEDULE_ACTIONS.join(', ')}`;
+    }
+
+    if (!isValidHour(event.hour)) {
+      return 'Schedule event hour must be an hour from 0 to 23';
+    }
+
+    const hasWeekday = event.weekday !== undefined && event.weekday !== null;
+    const hasDate = event.date !== undefined && event.date !== null;
+
+    if (hasWeekday === hasDate) {
+      return 'Schedule events need either a weekday or a date';
+    }
+
+    if (hasWeekday && !(Number.isInteger(event.weekday) && event.weekday >= 0 && event.weekday <= 6)) {
+      return 'Schedule event weekday must be a weekday number (0 = Sunday to 6 = Saturday)';
+    }
+
+    if (hasDate && !isValidDateString(event.date)) {
+      return 'Schedule event date must be a YYYY-MM-DD date';
+    }
+  }
+
+  if (closeForeverAt && (!isValidDateString(closeForeverAt.date) || !isValidHour(closeForeverAt.hour))) {
+    return 'Final close time needs a YYYY-MM-DD date and an hour from 0 to 23';
+  }
+
+  return null;
+}
+
+// Work out whether a form should be 'open' or 'closed' at the given wall clock time
+// in the schedule's timezone. Returns null when no event has happened yet.
+export function getScheduledState(schedule, now) {
+  if (schedule.closeForeverAt && now >= eventTime(parseDate(schedule.closeForeverAt.date), schedule.closeForeverAt.hour)) {
+    return 'closed';
+  }
+
+  let latest = null;
+
+  for (const event of schedule.events || []) {
+    const occurrence = lastOccurrence(event, now);
+    if (occurrence && (!latest || occurrence >= latest.time)) {
+      latest = { time: occurrence, action: event.action };
+    }
+  }
+
+  if (!latest) {
+    return null;
+  }
+
+  return latest.action === 'open' ? 'open' : 'closed';
+}
+
+// Most recent time at or before "now" that an event fired, or null
+function lastOccurrence(event, now) {
+  if (event.date) {
+    const time = eventTime(parseDate(event.date), event.hour);
+    return time <= now ? time : null;
+  }
+
+  const daysAgo = (now.getDay() - event.weekday + 7) % 7;
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysAgo);
+  let time = eventTime(day, event.hour);
+
+  if (time > now) {
+    time = eventTime(new Date(day.getFullYear(), day.getMonth(), day.getDate() - 7), event.hour);
+  }
+
+  return time;
+}
+
+function eventTime(date, hour) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour);
+}
+
+function isValidHour(hour) {
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23;
+}
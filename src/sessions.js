@@ -0,0 +1,93 @@
+// Browser sessions, so the UI doesn't send the Tally API key with every request
+// Signing in stores the API key (encrypted) in KV as session:{id}, and the browser gets
+// the session ID in an HttpOnly cookie as "<id>.<signature>", signed with the
+// SESSION_SECRET worker secret.
+
+export const SESSION_COOKIE = 'tallyforms_session';
+
+// How long a session lasts (seconds)
+export const SESSION_TTL = 8 * 60 * 60;
+
+// New random session ID
+export function generateSessionId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Cookie value for a session ID: the ID and its signature
+export async function createSessionToken(sessionId, env) {
+  return `${sessionId}.${await signSessionId(sessionId, env)}`;
+}
+
+// Session ID of a request's cookie, or null when there's no cookie or its signature is wrong
+export async function readSessionId(request, env) {
+  const token = getCookie(request, SESSION_COOKIE);
+  if (!token) {
+    return null;
+  }
+
+  const [sessionId, signature] = token.split('.');
+  if (!sessionId || !signature) {
+    return null;
+  }
+
+  const expected = await signSessionId(sessionId, env);
+  return timingSafeEqual(signature, expected) ? sessionId : null;
+}
+
+// Whether a request carries a session cookie, valid or not
+export function hasSessionCookie(request) {
+  return getCookie(request, SESSION_COOKIE) !== null;
+}
+
+// Set-Cookie header value for a session token; without a token the cookie is cleared
+export function sessionCookie(token) {
+  const maxAge = token ? SESSION_TTL : 0;
+  return `${SESSION_COOKIE}=${token || ''}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+async function signSessionId(sessionId, env) {
+  if (!env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET is not set');
+  }
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(env.SESSION_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(sessionId)));
+
+  return btoa(String.fromCharCode(...signature))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function getCookie(request, name) {
+  const header = request.headers.get('Cookie') || '';
+
+  for (const cookie of header.split(';')) {
+    const separator = cookie.indexOf('=');
+    if (separator !== -1 && cookie.substring(0, separator).trim() === name) {
+      return cookie.substring(separator + 1).trim();
+    }
+  }
+
+  return null;
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
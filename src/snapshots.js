@@ -0,0 +1,106 @@
+// Snapshots of a form's blocks, taken before every PATCH the worker sends
+// Stored in KV as snapshots:{hash(formId)} = [{ id, createdAt, reason, blocks }], newest
+// last. A snapshot can be compared with the live form and restored, e.g. when a teammate's
+// edit in Tally was overwritten by an update that started just before it.
+
+// Snapshots kept per form - the oldest are dropped first
+export const MAX_SNAPSHOTS = 10;
+
+// Add a snapshot of "blocks" to a form's history, dropping the oldest beyond MAX_SNAPSHOTS
+export function addSnapshot(history, blocks, reason) {
+  const snapshot = {
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+    reason,
+    blocks
+  };
+
+  return [...(history || []), snapshot].slice(-MAX_SNAPSHOTS);
+}
+
+// A snapshot without its blocks, for listing
+export function describeSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    reason: snapshot.reason,
+    blockCount: snapshot.blocks.length
+  };
+}
+
+// What restoring a snapshot would change on the live form.
+// Returns { changes: [{ uuid, type, summary, change, keys }], orderChanged }, where change
+// is "added" (only in the snapshot, restoring brings it back), "removed" (only on the
+// live form, restoring removes it) or "changed", with the payload keys that differ.
+export function compareBlocks(snapshotBlocks, liveBlocks) {
+  const liveByUuid = new Map(liveBlocks.map(block => [block.uuid, block]));
+  const snapshotUuids = new Set(snapshotBlocks.map(block => block.uuid));
+  const changes = [];
+
+  for (const block of snapshotBlocks) {
+    const live = liveByUuid.get(block.uuid);
+
+    if (!live) {
+      changes.push(describeChange(block, 'added'));
+      continue;
+    }
+
+    const keys = changedKeys(block, live);
+    if (keys.length > 0) {
+      changes.push({ ...describeChange(block, 'changed'), keys });
+    }
+  }
+
+  for (const block of liveBlocks) {
+    if (!snapshotUuids.has(block.uuid)) {
+      changes.push(describeChange(block, 'removed'));
+    }
+  }
+
+  // Blocks present on both sides but in a different order
+  const sharedSnapshotOrder = snapshotBlocks.filter(block => liveByUuid.has(block.uuid)).map(block => block.uuid);
+  const sharedLiveOrder = liveBlocks.filter(block => snapshotUuids.has(block.uuid)).map(block => block.uuid);
+  const orderChanged = sharedSnapshotOrder.join() !== sharedLiveOrder.join();
+
+  return { changes, orderChanged };
+}
+
+function describeChange(block, change) {
+  return {
+    uuid: block.uuid,
+    type: block.type,
+    summary: summarizeBlock(block),
+    change,
+    keys: []
+  };
+}
+
+// Block properties and payload keys whose values differ
+function changedKeys(snapshotBlock, liveBlock) {
+  const keys = [];
+
+  for (const key of ['type', 'groupUuid', 'groupType']) {
+    if (snapshotBlock[key] !== liveBlock[key]) {
+      keys.push(key);
+    }
+  }
+
+  const snapshotPayload = snapshotBlock.payload || {};
+  const livePayload = liveBlock.payload || {};
+  for (const key of new Set([...Object.keys(snapshotPayload), ...Object.keys(livePayload)])) {
+    if (JSON.stringify(snapshotPayload[key]) !== JSON.stringify(livePayload[key])) {
+      keys.push(`payload.${key}`);
+    }
+  }
+
+  return keys;
+}
+
+// Short text to recognize a block by
+function summarizeBlock(block) {
+  const payload = block.payload || {};
+  const text = payload.text || payload.label || payload.placeholder || payload.title
+    || (typeof payload.html === 'string' ? payload.html.replace(/<[^>]*>/g, ' ') : '');
+
+  return text.replace(/\s+/g, ' ').trim().substring(0, 80) || null;
+}
@@ -0,0 +1,145 @@
+// Requests to the Tally API, with failures classified
+// A failed request throws a TallyApiError whose kind tells a revoked key or a deleted
+// form (permanent - retrying won't help, the config should be disabled) from throttling
+// and outages (retryable). With "retry" (the hourly cron), retryable failures are retried
+// a few times, waiting as long as Tally's Retry-After header asks when it's short enough
+// to wait for. Requests made for the browser fail right away instead - see
+// tallyErrorStatus for the response to give.
+
+export const TALLY_API_BASE = 'https://api.tally.so';
+
+// Attempts per request, and the longest wait between them (seconds)
+const MAX_ATTEMPTS = 3;
+const MAX_RETRY_WAIT = 20;
+
+// Kinds of failure: whether a retry may succeed, and whether the config can't work anymore
+const ERROR_KINDS = {
+  unauthorized: { retryable: false, permanent: true },
+  not_found: { retryable: false, permanent: true },
+  rejected: { retryable: false, permanent: false },
+  rate_limited: { retryable: true, permanent: false },
+  server_error: { retryable: true, permanent: false },
+  network: { retryable: true, permanent: false }
+};
+
+export class TallyApiError extends Error {
+  constructor(message, { kind, status = null, retryAfter = null }) {
+    super(message);
+    this.name = 'TallyApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = ERROR_KINDS[kind].retryable;
+    this.permanent = ERROR_KINDS[kind].permanent;
+  }
+}
+
+// Send a request to the Tally API and return the parsed JSON response
+export async function tallyRequest(apiKey, path, { method = 'GET', body, retry = false } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    let error;
+
+    try {
+      response = await fetch(`${TALLY_API_BASE}${path}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Accept': 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (requestError) {
+      error = new TallyApiError(`Could not reach Tally API for ${method} ${path}: ${requestError.message}`, { kind: 'network' });
+    }
+
+    // A successful request is never repeated, even when its body can't be read
+    if (response?.ok) {
+      return parseResponseBody(response, method, path);
+    }
+
+    if (response) {
+      error = await errorFromResponse(response, method, path);
+    }
+
+    const wait = retry ? retryWait(error, attempt) : null;
+    if (wait === null) {
+      throw error;
+    }
+
+    console.warn(`${error.message} - retrying in ${wait}s`);
+    await new Promise(resolve => setTimeout(resolve, wait * 1000));
+  }
+}
+
+// HTTP status to answer the browser with when a Tally request failed, or null when the
+// error isn't one Tally can recover from by itself: 429 while Tally throttles requests,
+// 503 while it's failing or unreachable
+export function tallyErrorStatus(error) {
+  if (!(error instanceof TallyApiError) || !error.retryable) {
+    return null;
+  }
+  return error.kind === 'rate_limited' ? 429 : 503;
+}
+
+// Seconds to wait from a Retry-After header (seconds or an HTTP date), or null
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) {
+    return null;
+  }
+
+  if (/^\d+$/.test(header.trim())) {
+    return parseInt(header.trim());
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+async function parseResponseBody(response, method, path) {
+  try {
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    throw new TallyApiError(`Tally API sent an unreadable response to ${method} ${path}: ${error.message}`, {
+      kind: 'rejected',
+      status: response.status
+    });
+  }
+}
+
+async function errorFromResponse(response, method, path) {
+  const status = response.status;
+  const details = (await response.text().catch(() => '')).substring(0, 200);
+  const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+
+  let kind = 'rejected';
+  let message = `Tally API rejected ${method} ${path} (${status})`;
+
+  if (status === 401 || status === 403) {
+    kind = 'unauthorized';
+    message = `Tally rejected the API key (${status}) - it may have been revoked`;
+  } else if (status === 404) {
+    kind = 'not_found';
+    message = 'The form was not found in Tally (404) - it may have been deleted';
+  } else if (status === 429) {
+    kind = 'rate_limited';
+    message = `Tally API is throttling requests (429) for ${method} ${path}`;
+  } else if (status >= 500) {
+    kind = 'server_error';
+    message = `Tally API failed with ${status} for ${method} ${path}`;
+  }
+
+  return new TallyApiError(details ? `${message}: ${details}` : message, { kind, status, retryAfter });
+}
+
+// Seconds to wait before the next attempt, or null when the request shouldn't be retried
+function retryWait(error, attempt) {
+  if (!error.retryable || attempt >= MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const wait = error.retryAfter ?? 2 ** (attempt - 1);
+  return wait <= MAX_RETRY_WAIT ? wait : null;
+}
@@ -0,0 +1,172 @@
+// Template tokens in text blocks and date field placeholders
+// Tokens look like {{today+14}} or {{field.maxDate | format:"MMMM d"}} and are rendered
+// from the form's current date window. The original template of each block is kept
+// (see applyTemplates) so rendering is idempotent and survives any number of runs.
+
+import { formatDate, parseDate } from './date-rules.js';
+
+// Blocks whose text can hold tokens (in payload.safeHTMLSchema or payload.html)
+const TEXT_BLOCK_TYPES = ['FORM_TITLE', 'TITLE', 'TEXT', 'LABEL', 'HEADING_1', 'HEADING_2', 'HEADING_3'];
+
+// Payload keys rendered for each kind of block
+const TEXT_PAYLOAD_KEYS = ['safeHTMLSchema', 'html'];
+const DATE_FIELD_PAYLOAD_KEYS = ['placeholder'];
+
+const TOKEN_PATTERN = /\{\{\s*((?:today|field)\b[^}]*?)\s*\}\}/g;
+
+// Default date format for tokens without a format filter, e.g. "October 26, 2026"
+const DEFAULT_FORMAT = 'MMMM d, yyyy';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Render the template tokens of all text blocks and date field placeholders in place.
+// "storedTemplates" maps block UUIDs to { template, rendered } from the previous run:
+// - text that still matches the last rendered output is re-rendered from its template
+// - text containing tokens is a new or edited template
+// - anything else was edited by hand in Tally and is no longer managed
+// Returns whether any block changed and the templates to store for the next run.
+export function applyTemplates(blocks, storedTemplates, today) {
+  const templates = {};
+  let modified = false;
+
+  blocks.forEach((block, index) => {
+    const keys = templatePayloadKeys(block);
+    if (!keys || !block.payload) {
+      return;
+    }
+
+    const current = pick(block.payload, keys);
+    const stored = storedTemplates[block.uuid];
+    let template;
+
+    if (stored && JSON.stringify(current) === JSON.stringify(stored.rendered)) {
+      template = stored.template;
+    } else if (hasTokens(current)) {
+      template = current;
+    } else {
+      return;
+    }
+
+    const dateField = block.type === 'INPUT_DATE' ? block : findNearestDateField(blocks, index);
+    const rendered = renderValue(template, expression => resolveToken(expression, blocks, dateField, today));
+
+    if (JSON.stringify(rendered) !== JSON.stringify(current)) {
+      Object.assign(block.payload, rendered);
+      modified = true;
+    }
+
+    templates[block.uuid] = { template, rendered };
+  });
+
+  return { modified, templates };
+}
+
+// Tokens of the date pattern language, longest first, and quoted literal text
+const DATE_PATTERN_TOKENS = /'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE/g;
+
+// The tokens a date pattern uses, without its quoted text
+export function datePatternTokens(pattern) {
+  return (pattern.match(DATE_PATTERN_TOKENS) || []).filter(token => !token.startsWith("'"));
+}
+
+// Format a date with a small pattern language: yyyy, yy, MMMM, MMM, MM, M, dd, d, EEEE, EEE.
+// Text in single quotes is kept as it is ('Today is' EEEE), and '' is a single quote.
+export function formatDatePattern(date, pattern) {
+  return pattern.replace(DATE_PATTERN_TOKENS, (token, literal) => {
+    if (literal !== undefined) {
+      return literal || "'";
+    }
+
+    switch (token) {
+      case 'yyyy': return String(date.getFullYear());
+      case 'yy': return String(date.getFullYear()).slice(-2);
+      case 'MMMM': return MONTH_NAMES[date.getMonth()];
+      case 'MMM': return MONTH_NAMES[date.getMonth()].substring(0, 3);
+      case 'MM': return String(date.getMonth() + 1).padStart(2, '0');
+      case 'M': return String(date.getMonth() + 1);
+      case 'dd': return String(date.getDate()).padStart(2, '0');
+      case 'd': return String(date.getDate());
+      case 'EEEE': return WEEKDAY_NAMES[date.getDay()];
+      case 'EEE': return WEEKDAY_NAMES[date.getDay()].substring(0, 3);
+      default: return token;
+    }
+  });
+}
+
+function templatePayloadKeys(block) {
+  if (block.type === 'INPUT_DATE') {
+    return DATE_FIELD_PAYLOAD_KEYS;
+  }
+  return TEXT_BLOCK_TYPES.includes(block.type) ? TEXT_PAYLOAD_KEYS : null;
+}
+
+function pick(payload, keys) {
+  const result = {};
+  keys.forEach(key => {
+    if (payload[key] !== undefined) {
+      result[key] = payload[key];
+    }
+  });
+  return result;
+}
+
+function hasTokens(value) {
+  return new RegExp(TOKEN_PATTERN.source).test(JSON.stringify(value));
+}
+
+// Replace tokens in every string of a (possibly nested) payload value.
+// Tokens that can't be resolved are left as they are.
+function renderValue(value, resolve) {
+  if (typeof value === 'string') {
+    return value.replace(TOKEN_PATTERN, (token, expression) => resolve(expression) ?? token);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, resolve));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, resolve)]));
+  }
+  return value;
+}
+
+// Resolve a token expression such as 'today+14' or 'field.maxDate | format:"MMMM d"'.
+// "field" is the date field the block belongs to (or the nearest one for text blocks),
+// "field.<uuid or uuid prefix>" picks a specific date field.
+function resolveToken(expression, blocks, dateField, today) {
+  const [subject, ...filters] = expression.split('|').map(part => part.trim());
+  const formatFilter = filters.find(filter => filter.startsWith('format:'));
+  const pattern = formatFilter ? formatFilter.substring(7).trim().replace(/^["']|["']$/g, '') : DEFAULT_FORMAT;
+
+  let date = null;
+
+  const todayMatch = subject.match(/^today\s*(?:([+-])\s*(\d+))?$/);
+  if (todayMatch) {
+    const offset = todayMatch[1] ? parseInt(todayMatch[2]) * (todayMatch[1] === '-' ? -1 : 1) : 0;
+    date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+  }
+
+  const fieldMatch = subject.match(/^field(?:\.([\w-]+))?\.(minDate|maxDate)$/);
+  if (fieldMatch) {
+    const field = fieldMatch[1]
+      ? blocks.find(block => block.type === 'INPUT_DATE' && block.uuid.startsWith(fieldMatch[1]))
+      : dateField;
+    const value = fieldMatch[2] === 'minDate' ? field?.payload?.afterDate : field?.payload?.beforeDate;
+    date = value ? parseDate(value) : null;
+  }
+
+  if (!date || isNaN(date)) {
+    return null;
+  }
+
+  return pattern === 'iso' ? formatDate(date) : formatDatePattern(date, pattern);
+}
+
+// The first date field after a text block, or the closest one before it
+function findNearestDateField(blocks, index) {
+  const after = blocks.slice(index + 1).find(block => block.type === 'INPUT_DATE');
+  if (after) {
+    return after;
+  }
+  return blocks.slice(0, index).reverse().find(block => block.type === 'INPUT_DATE') || null;
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseIcsDates } from '../src/holidays.js';
+
+// A one-day event on Christmas 2026 with the given RRULE
+function calendar(rrule) {
+  return [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261225',
+    'DTEND;VALUE=DATE:20261226',
+    `RRULE:${rrule}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+test('yearly events are expanded every INTERVAL years', () => {
+  assert.deepEqual(parseIcsDates(calendar('FREQ=YEARLY;INTERVAL=2;COUNT=3')), ['2026-12-25', '2028-12-25', '2030-12-25']);
+});
+
+test('a negative INTERVAL only contributes the first occurrence', () => {
+  assert.deepEqual(parseIcsDates(calendar('FREQ=YEARLY;INTERVAL=-1')), ['2026-12-25']);
+});
+
+test('a zero INTERVAL only contributes the first occurrence', () => {
+  assert.deepEqual(parseIcsDates(calendar('FREQ=YEARLY;INTERVAL=0')), ['2026-12-25']);
+});
+
+test('an invalid COUNT only contributes the first occurrence', () => {
+  assert.deepEqual(parseIcsDates(calendar('FREQ=YEARLY;COUNT=0')), ['2026-12-25']);
+  assert.deepEqual(parseIcsDates(calendar('FREQ=YEARLY;COUNT=many')), ['2026-12-25']);
+});
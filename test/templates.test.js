@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatDatePattern } from '../src/templates.js';
+
+// Sunday, October 25, 2026
+const date = new Date(2026, 9, 25);
+
+test('date tokens are replaced', () => {
+  assert.equal(formatDatePattern(date, 'EEE, MMM d yyyy'), 'Sun, Oct 25 2026');
+});
+
+test('quoted text is kept as it is', () => {
+  assert.equal(formatDatePattern(date, "'Today is' EEEE"), 'Today is Sunday');
+});
+
+test('two single quotes make one', () => {
+  assert.equal(formatDatePattern(date, "MMM d ''yy"), "Oct 25 '26");
+});